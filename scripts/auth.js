@@ -0,0 +1,515 @@
+/**
+ * Configuration for signing in to Microsoft Graph through the Microsoft
+ * identity platform. The client and authority are set in the options, see
+ * GetUserAuthConfig(), and administrators can set them by policy, see
+ * GetManagedAuthConfig(). |authority| may be pointed at a local mock server
+ * (for example 'http://localhost:8080/mock-tenant') to exercise the flow
+ * without a real tenant; the token endpoint is derived from it.
+ */
+const AUTH_CONFIG = {
+    // Application (client) ID of the app registration, empty until one is
+    // set. The redirect URI to register is
+    // chrome.identity.getRedirectURL('oauth2').
+    clientId: '',
+    authority: 'https://login.microsoftonline.com/common',
+    scopes: ['openid', 'profile', 'offline_access', 'Files.ReadWrite'],
+    // Access tokens are refreshed this long before they actually expire.
+    refreshSkewMs: 5 * 60 * 1000
+};
+
+const AUTH_STORAGE_KEY = 'graphAuthTokens';
+
+/**
+ * Encodes bytes as unpadded base64url, as required by PKCE and JWTs.
+ * @param {!Uint8Array} bytes
+ * @return {string}
+ */
+function Base64UrlEncode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * @param {number} length Number of random bytes.
+ * @return {string} A base64url encoded random string.
+ */
+function CreateRandomString(length) {
+    const bytes = new Uint8Array(length);
+    crypto.getRandomValues(bytes);
+    return Base64UrlEncode(bytes);
+}
+
+/**
+ * Creates a PKCE code verifier and its S256 challenge.
+ * @return {!Promise<{verifier: string, challenge: string}>}
+ */
+function CreatePkcePair() {
+    const verifier = CreateRandomString(32);
+    return crypto.subtle
+        .digest('SHA-256', new TextEncoder().encode(verifier))
+        .then(function (digest) {
+            return {
+                verifier: verifier,
+                challenge: Base64UrlEncode(new Uint8Array(digest))
+            };
+        });
+}
+
+/**
+ * Reads the claims of a JWT without validating it. Only used to show who is
+ * signed in; the token itself is validated by Graph.
+ * @param {string} jwt
+ * @return {Object} The decoded payload, or null if it can't be parsed.
+ */
+function DecodeJwtPayload(jwt) {
+    try {
+        const payload = jwt
+            .split('.')[1]
+            .replace(/-/g, '+')
+            .replace(/_/g, '/');
+        return JSON.parse(decodeURIComponent(escape(atob(payload))));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @param {!Object} config See AUTH_CONFIG.
+ * @param {!Object} settings See DEFAULT_SETTINGS.
+ * @return {!Object} |config| with the client and authority of |settings|.
+ */
+function GetUserAuthConfig(config, settings) {
+    return Object.assign({}, config, {
+        clientId: settings.signInClientId.trim() || config.clientId,
+        authority:
+            settings.signInAuthority.trim().replace(/\/+$/, '') ||
+            config.authority
+    });
+}
+
+/**
+ * @param {!Object} config See AUTH_CONFIG.
+ * @param {!Object} policy See LoadManagedPolicy().
+ * @return {!Object} |config| with the |clientId| of the policy, and its
+ *     |tenantId| in place of the tenant at the end of the authority.
+ */
+function GetManagedAuthConfig(config, policy) {
+    return Object.assign({}, config, {
+        clientId: policy.clientId || config.clientId,
+        authority: policy.tenantId
+            ? config.authority.replace(
+                  /[^/]+$/,
+                  encodeURIComponent(policy.tenantId)
+              )
+            : config.authority
+    });
+}
+
+// Signs the user in with the authorization code flow + PKCE and keeps the
+// resulting access and refresh tokens fresh. Only the background page uses
+// it: refresh tokens are rotated, so two pages refreshing at once would sign
+// the user out. Other pages ask the background page for access tokens, see
+// RequestAccessToken().
+class GraphAuth {
+    /**
+     * @param {!Object} config See AUTH_CONFIG.
+     */
+    constructor(config) {
+        this.baseConfig_ = config;
+        this.config_ = config;
+        // Applies the policy to |config_| before the first request, see
+        // loadConfig_().
+        this.configLoaded_ = null;
+        this.refreshTimer_ = null;
+        // In-flight token request, shared so that concurrent callers don't
+        // each start their own sign-in or refresh.
+        this.pendingToken_ = null;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (
+                areaName === 'managed' ||
+                changes.signInClientId ||
+                changes.signInAuthority
+            ) {
+                // Reloaded right away so that tokens of a client or tenant
+                // no longer in use are dropped before anyone asks for them.
+                this.configLoaded_ = null;
+                this.loadConfig_();
+            }
+        });
+    }
+
+    /**
+     * Applies the client and authority of the options, then the client and
+     * tenant set by policy, if any. Signs out if the cached tokens were
+     * issued to another client or by another authority.
+     * @return {!Promise}
+     * @private
+     */
+    loadConfig_() {
+        if (!this.configLoaded_) {
+            this.configLoaded_ = Promise.all([
+                LoadUserSettings(),
+                LoadManagedPolicy()
+            ])
+                .then(([settings, policy]) => {
+                    this.config_ = GetManagedAuthConfig(
+                        GetUserAuthConfig(this.baseConfig_, settings),
+                        policy
+                    );
+                    return this.loadTokens_();
+                })
+                .then((tokens) => {
+                    if (
+                        tokens &&
+                        (tokens.clientId !== this.config_.clientId ||
+                            tokens.authority !== this.config_.authority)
+                    ) {
+                        return this.signOut();
+                    }
+                });
+        }
+        return this.configLoaded_;
+    }
+
+    /** @return {string} */
+    getTokenEndpoint() {
+        return this.config_.authority + '/oauth2/v2.0/token';
+    }
+
+    /** @return {string} */
+    getAuthorizeEndpoint() {
+        return this.config_.authority + '/oauth2/v2.0/authorize';
+    }
+
+    /**
+     * Returns a valid access token, refreshing it or signing in as needed.
+     * @param {boolean=} interactive Whether the user may be prompted to sign
+     *     in. Defaults to true.
+     * @return {!Promise<string>}
+     */
+    getAccessToken(interactive = true) {
+        if (this.pendingToken_) {
+            return this.pendingToken_;
+        }
+        this.pendingToken_ = this.loadConfig_()
+            .then(() => this.loadTokens_())
+            .then((tokens) => {
+                if (tokens && !this.isExpiring_(tokens)) {
+                    return tokens;
+                }
+                if (tokens && tokens.refreshToken) {
+                    return this.refresh_(tokens).catch(() =>
+                        this.signInIfAllowed_(interactive)
+                    );
+                }
+                return this.signInIfAllowed_(interactive);
+            })
+            .then((tokens) => tokens.accessToken)
+            .finally(() => {
+                this.pendingToken_ = null;
+            });
+        return this.pendingToken_;
+    }
+
+    /**
+     * Runs the interactive sign-in flow.
+     * @param {string=} prompt Value of the OAuth |prompt| parameter, e.g.
+     *     'select_account' to let the user pick a different account.
+     * @return {!Promise<!Object>} The stored tokens. Rejects with a
+     *     ViewerError if no client is set, rather than sending the user to
+     *     the sign-in page's own error.
+     */
+    signIn(prompt) {
+        const redirectUri = chrome.identity.getRedirectURL('oauth2');
+        const state = CreateRandomString(16);
+        let pkce;
+        return this.loadConfig_()
+            .then(() => {
+                if (!this.config_.clientId) {
+                    throw new ViewerError(
+                        ErrorCode.SIGN_IN_NOT_CONFIGURED,
+                        'Sign-in to OneDrive is not set up. Enter the client ' +
+                            'ID of an app registration in the options, or ' +
+                            'ask your administrator.'
+                    );
+                }
+                return CreatePkcePair();
+            })
+            .then((pair) => {
+                pkce = pair;
+                const params = new URLSearchParams({
+                    client_id: this.config_.clientId,
+                    response_type: 'code',
+                    redirect_uri: redirectUri,
+                    response_mode: 'query',
+                    scope: this.config_.scopes.join(' '),
+                    state: state,
+                    code_challenge: pkce.challenge,
+                    code_challenge_method: 'S256'
+                });
+                if (prompt) {
+                    params.set('prompt', prompt);
+                }
+                return this.launchWebAuthFlow_(
+                    this.getAuthorizeEndpoint() + '?' + params.toString()
+                );
+            })
+            .then((responseUrl) => {
+                const response = new URL(responseUrl).searchParams;
+                if (response.get('error')) {
+                    throw new Error(
+                        response.get('error_description') ||
+                            response.get('error')
+                    );
+                }
+                if (response.get('state') !== state) {
+                    throw new Error('Sign-in response state mismatch.');
+                }
+                return this.requestToken_({
+                    grant_type: 'authorization_code',
+                    code: response.get('code'),
+                    redirect_uri: redirectUri,
+                    code_verifier: pkce.verifier
+                });
+            });
+    }
+
+    /**
+     * Forgets the cached tokens.
+     * @return {!Promise}
+     */
+    signOut() {
+        this.cancelRefresh_();
+        return new Promise(function (resolve) {
+            chrome.storage.local.remove(AUTH_STORAGE_KEY, resolve);
+        });
+    }
+
+    /**
+     * Signs out and lets the user pick another account.
+     * @return {!Promise<!Object>} The stored tokens.
+     */
+    switchAccount() {
+        return this.signOut().then(() => this.signIn('select_account'));
+    }
+
+    /**
+     * @return {!Promise<Object>} The signed in account as
+     *     {name, username, tenantId}, or null if nobody is signed in.
+     */
+    getAccount() {
+        return this.loadConfig_()
+            .then(() => this.loadTokens_())
+            .then(function (tokens) {
+                return tokens ? tokens.account : null;
+            });
+    }
+
+    /**
+     * Restores the silent refresh timer from cached tokens. Call once when
+     * the background page starts up.
+     * @return {!Promise}
+     */
+    init() {
+        return this.loadConfig_()
+            .then(() => this.loadTokens_())
+            .then((tokens) => {
+                if (tokens && tokens.refreshToken) {
+                    this.scheduleRefresh_(tokens);
+                }
+            });
+    }
+
+    /**
+     * @param {!Object} tokens
+     * @return {boolean} Whether |tokens| expire within the refresh skew.
+     * @private
+     */
+    isExpiring_(tokens) {
+        return tokens.expiresAt - this.config_.refreshSkewMs <= Date.now();
+    }
+
+    /**
+     * @param {boolean} interactive
+     * @return {!Promise<!Object>}
+     * @private
+     */
+    signInIfAllowed_(interactive) {
+        if (!interactive) {
+            return Promise.reject(new Error('Sign-in required.'));
+        }
+        return this.signIn();
+    }
+
+    /**
+     * @param {!Object} tokens Cached tokens that carry a refresh token.
+     * @return {!Promise<!Object>}
+     * @private
+     */
+    refresh_(tokens) {
+        return this.requestToken_(
+            {
+                grant_type: 'refresh_token',
+                refresh_token: tokens.refreshToken
+            },
+            tokens
+        );
+    }
+
+    /**
+     * Posts to the token endpoint and caches the result.
+     * @param {!Object} params Grant specific form parameters.
+     * @param {Object=} previous Tokens being refreshed; the refresh token and
+     *     account are kept if the response doesn't carry new ones.
+     * @return {!Promise<!Object>}
+     * @private
+     */
+    requestToken_(params, previous) {
+        return this.loadConfig_()
+            .then(() => {
+                const body = new URLSearchParams(
+                    Object.assign(
+                        {
+                            client_id: this.config_.clientId,
+                            scope: this.config_.scopes.join(' ')
+                        },
+                        params
+                    )
+                );
+                return fetch(this.getTokenEndpoint(), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    body: body.toString()
+                });
+            })
+            .then(function (response) {
+                return response.json().then(function (json) {
+                    if (!response.ok) {
+                        throw new Error(
+                            json.error_description ||
+                                json.error ||
+                                'Token request failed: ' + response.status
+                        );
+                    }
+                    return json;
+                });
+            })
+            .then((json) => {
+                const claims = json.id_token
+                    ? DecodeJwtPayload(json.id_token)
+                    : null;
+                const tokens = {
+                    // What the tokens were issued for, see loadConfig_().
+                    clientId: this.config_.clientId,
+                    authority: this.config_.authority,
+                    accessToken: json.access_token,
+                    refreshToken:
+                        json.refresh_token ||
+                        (previous ? previous.refreshToken : null),
+                    expiresAt: Date.now() + Number(json.expires_in) * 1000,
+                    account: claims
+                        ? {
+                              name: claims.name,
+                              username: claims.preferred_username,
+                              tenantId: claims.tid
+                          }
+                        : previous
+                        ? previous.account
+                        : null
+                };
+                return this.storeTokens_(tokens);
+            });
+    }
+
+    /**
+     * @return {!Promise<Object>}
+     * @private
+     */
+    loadTokens_() {
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(AUTH_STORAGE_KEY, function (items) {
+                resolve(items[AUTH_STORAGE_KEY] || null);
+            });
+        });
+    }
+
+    /**
+     * @param {!Object} tokens
+     * @return {!Promise<!Object>} |tokens|, once stored.
+     * @private
+     */
+    storeTokens_(tokens) {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ [AUTH_STORAGE_KEY]: tokens }, () => {
+                this.scheduleRefresh_(tokens);
+                resolve(tokens);
+            });
+        });
+    }
+
+    /**
+     * Refreshes the access token silently shortly before it expires. Only the
+     * regular background page does: with split incognito mode the incognito
+     * one shares the cached tokens, and its refreshes would race with the
+     * regular page's over the rotated refresh token.
+     * @param {!Object} tokens
+     * @private
+     */
+    scheduleRefresh_(tokens) {
+        this.cancelRefresh_();
+        if (!tokens.refreshToken || chrome.extension.inIncognitoContext) {
+            return;
+        }
+        const delay = Math.max(
+            0,
+            tokens.expiresAt - this.config_.refreshSkewMs - Date.now()
+        );
+        this.refreshTimer_ = setTimeout(() => {
+            this.refreshTimer_ = null;
+            // On failure the next caller of getAccessToken() signs in.
+            this.getAccessToken(false).catch(function () {});
+        }, delay);
+    }
+
+    /** @private */
+    cancelRefresh_() {
+        if (this.refreshTimer_ !== null) {
+            clearTimeout(this.refreshTimer_);
+            this.refreshTimer_ = null;
+        }
+    }
+
+    /**
+     * @param {string} url The authorize URL.
+     * @return {!Promise<string>} The URL the flow redirected back to.
+     * @private
+     */
+    launchWebAuthFlow_(url) {
+        return new Promise(function (resolve, reject) {
+            chrome.identity.launchWebAuthFlow(
+                { url: url, interactive: true },
+                function (responseUrl) {
+                    if (chrome.runtime.lastError || !responseUrl) {
+                        reject(
+                            new Error(
+                                chrome.runtime.lastError
+                                    ? chrome.runtime.lastError.message
+                                    : 'Sign-in was cancelled.'
+                            )
+                        );
+                        return;
+                    }
+                    resolve(responseUrl);
+                }
+            );
+        });
+    }
+}
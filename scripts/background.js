@@ -0,0 +1,487 @@
+const graphAuth = new GraphAuth(AUTH_CONFIG);
+graphAuth.init();
+new DriveIndex().migrate();
+
+const redirectLoopGuard = new RedirectLoopGuard(REDIRECT_LOOP_TTL_MS);
+
+// Account actions are run here rather than in the popup: the popup closes as
+// soon as the sign-in window takes focus, which would drop the flow halfway.
+// The viewer also asks here which route to take for a document, and for
+// access tokens, so that only this page refreshes them. Local metrics samples,
+// diagnostics and history changes are written here too, so that tabs don't
+// overwrite each other's.
+chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+    let action;
+    switch (message.type) {
+        case 'getAccount':
+            action = graphAuth.getAccount();
+            break;
+        case 'signIn':
+            action = graphAuth.signIn().then(() => graphAuth.getAccount());
+            break;
+        case 'switchAccount':
+            action = graphAuth
+                .switchAccount()
+                .then(() => graphAuth.getAccount());
+            break;
+        case 'signOut':
+            action = graphAuth.signOut().then(() => null);
+            break;
+        case 'getAccessToken':
+            graphAuth.getAccessToken(message.interactive).then(
+                function (token) {
+                    sendResponse({ token: token });
+                },
+                function (error) {
+                    sendResponse({ error: error.message, code: error.code });
+                }
+            );
+            return true;
+        case 'addMetricsSample':
+            AddLocalSample(message.name, message.sample).then(function () {
+                sendResponse({});
+            });
+            return true;
+        case 'addDiagnosticsEntry':
+            new DiagnosticsLog().addEntry(message.entry).then(function () {
+                sendResponse({});
+            });
+            return true;
+        case 'changeDocumentHistory':
+            new DocumentHistory().applyChange(message.change).then(function () {
+                sendResponse({});
+            });
+            return true;
+        case 'routeDocument':
+            GetRouteForDocument(message.document, message.requested).then(
+                function (route) {
+                    sendResponse({ action: route });
+                },
+                function (error) {
+                    sendResponse({ action: null, error: error.message });
+                }
+            );
+            return true;
+        case 'checkRedirectLoop':
+            sendResponse({
+                loop: redirectLoopGuard.consume(message.tabId, message.url)
+            });
+            return false;
+        case 'downloadOriginal':
+            DownloadOriginal(message.url, function () {
+                if (message.leaveTabId >= 0) {
+                    LeaveDocumentTab(message.leaveTabId);
+                }
+                sendResponse({});
+            });
+            return true;
+        case 'reopenDocument':
+            ReopenDocument(message.document, message.action);
+            return false;
+        case 'getUploads':
+            GetUploads(CreateBackgroundUploader()).then(function (uploads) {
+                UpdateUploadBadge(uploads);
+                sendResponse({ uploads: uploads });
+            });
+            return true;
+        case 'deleteUpload':
+            ReplyWhenDone(DeleteUpload(message.localUrl), sendResponse);
+            return true;
+        case 'saveEditedUpload':
+            ReplyWhenDone(SaveEditedUpload(message.localUrl), sendResponse);
+            return true;
+        default:
+            return false;
+    }
+    action.then(
+        function (account) {
+            sendResponse({ account: account });
+        },
+        function (error) {
+            sendResponse({ error: error.message });
+        }
+    );
+    return true;
+});
+
+/**
+ * Answers a message once |work| is done, with the error if it failed.
+ * @param {!Promise} work
+ * @param {function(!Object)} sendResponse
+ */
+function ReplyWhenDone(work, sendResponse) {
+    work.then(
+        function () {
+            sendResponse({});
+        },
+        function (error) {
+            sendResponse({ error: error.message });
+        }
+    );
+}
+
+/**
+ * Routes a document with the user's settings.
+ * @param {!Object} doc See RuleMatches(). Its |kind| is worked out from the
+ *     MIME type and extension unless given.
+ * @param {?RouteAction=} requested See ChooseRoute().
+ * @return {!Promise<RouteAction>}
+ */
+function GetRouteForDocument(doc, requested) {
+    return LoadSettings().then(function (settings) {
+        return ChooseRoute(
+            Object.assign(
+                { kind: GetDocumentKind(doc.mimeType || '', doc.extension) },
+                doc
+            ),
+            settings,
+            requested
+        );
+    });
+}
+
+// Each viewer showing a document in the web viewer keeps a port open until it
+// goes away.
+chrome.runtime.onConnect.addListener(function (port) {
+    if (port.name !== 'documentViewer') {
+        return;
+    }
+    let shown = null;
+    port.onMessage.addListener(function (message) {
+        if (message.type === 'documentShown') {
+            shown = message;
+            redirectLoopGuard.markShown(message.tabId, message.url);
+        }
+    });
+    port.onDisconnect.addListener(function () {
+        if (shown) {
+            redirectLoopGuard.markClosed(shown.tabId, shown.url);
+        }
+    });
+});
+
+chrome.tabs.onRemoved.addListener(function (tabId) {
+    redirectLoopGuard.forgetTab(tabId);
+    LoadSettings().then(function (settings) {
+        if (settings.uploadRetention === UploadRetention.TAB_CLOSED) {
+            CleanUpUploads().catch(function (error) {
+                console.log('Upload cleanup failed: ' + error.message);
+            });
+        }
+    });
+});
+
+chrome.alarms.create(UPLOAD_CLEANUP_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: UPLOAD_CLEANUP_PERIOD_MINUTES
+});
+chrome.alarms.onAlarm.addListener(function (alarm) {
+    if (alarm.name === UPLOAD_CLEANUP_ALARM) {
+        CleanUpUploads().catch(function (error) {
+            console.log('Upload cleanup failed: ' + error.message);
+        });
+    }
+});
+
+// Only links in the viewer lead back to the document it shows. Reloading it,
+// going to it by hand or through the tab history shows it again.
+chrome.webNavigation.onCommitted.addListener(function (details) {
+    if (
+        details.frameId === 0 &&
+        (details.transitionType !== 'link' ||
+            details.transitionQualifiers.indexOf('forward_back') !== -1)
+    ) {
+        redirectLoopGuard.forget(details.tabId, details.url);
+    }
+});
+
+chrome.webNavigation.onCreatedNavigationTarget.addListener(function (
+    details
+) {
+    redirectLoopGuard.markOpenedFrom(
+        details.sourceTabId,
+        details.tabId,
+        details.url
+    );
+});
+
+// URLs of downloads started by the extension itself, which must not be routed
+// again.
+const ownDownloadUrls = new Set();
+
+/**
+ * Takes a tab away from the document it downloaded instead of showing. Only
+ * tabs the web viewer opened are closed; tabs the user opened go back to the
+ * page before, or keep the viewer if there is none.
+ * @param {number} tabId
+ */
+function LeaveDocumentTab(tabId) {
+    if (redirectLoopGuard.isOpenedByViewer(tabId)) {
+        chrome.tabs.remove(tabId);
+        return;
+    }
+    chrome.tabs.goBack(tabId, function () {
+        // Checked so that a tab without history isn't reported as an error;
+        // it keeps showing the viewer.
+        void chrome.runtime.lastError;
+    });
+}
+
+/**
+ * Downloads |url| without routing it.
+ * @param {string} url
+ * @param {function()=} callback Called once the download has started.
+ */
+function DownloadOriginal(url, callback) {
+    ownDownloadUrls.add(url);
+    chrome.downloads.download({ url: url }, function () {
+        ownDownloadUrls.delete(url);
+        if (callback) {
+            callback();
+        }
+    });
+}
+
+/**
+ * Opens a document in the viewer page outside of the mime handler, for
+ * documents that reach the browser as downloads.
+ * @param {string} url
+ * @param {string} mimeType
+ * @param {RouteAction} action VIEWER or PDF.
+ * @param {string} fileName Name the download would have been saved as, or
+ *     '' if not known yet.
+ */
+function OpenInViewerTab(url, mimeType, action, fileName) {
+    const params = new URLSearchParams({
+        src: url,
+        type: mimeType,
+        action: action,
+        name: fileName
+    });
+    chrome.tabs.create({
+        url: chrome.runtime.getURL('views/app.html') + '?' + params.toString()
+    });
+}
+
+/**
+ * Launches the desktop app for a document.
+ * @param {string} documentType Protocol handler such as 'ms-word'.
+ * @param {string} url
+ */
+function OpenInDesktopApp(documentType, url) {
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+        const handlerUrl = GetDesktopEditUrl(documentType, url);
+        if (tabs.length) {
+            chrome.tabs.update(tabs[0].id, { url: handlerUrl });
+        } else {
+            chrome.tabs.create({ url: handlerUrl });
+        }
+    });
+}
+
+/**
+ * Opens a document from the history again. Web documents go through the
+ * router, so that the settings in force now still apply, e.g. a site that
+ * has been blocked since or privacy mode.
+ * @param {!Object} entry A DocumentHistory entry.
+ * @param {string} action RouteAction.VIEWER or RouteAction.DESKTOP.
+ */
+async function ReopenDocument(entry, action) {
+    // Uploaded documents open where they were uploaded to.
+    if (action === RouteAction.VIEWER && entry.driveItem) {
+        chrome.tabs.create({ url: entry.driveItem.webUrl });
+        return;
+    }
+    if (/^https?:/.test(entry.url)) {
+        action = await GetRouteForDocument(
+            {
+                url: entry.url,
+                extension: entry.extension,
+                mimeType: entry.mimeType,
+                size: -1
+            },
+            action
+        );
+    }
+    switch (action) {
+        case RouteAction.DESKTOP:
+            OpenInDesktopApp(
+                GetFileType(entry.mimeType, entry.extension).handler,
+                entry.url
+            );
+            break;
+        case RouteAction.DOWNLOAD:
+            DownloadOriginal(entry.url);
+            break;
+        default:
+            OpenInViewerTab(entry.url, entry.mimeType, action, entry.title);
+    }
+}
+
+/**
+ * Right-click actions on links and pages.
+ * @enum {string}
+ */
+const ContextMenuId = {
+    VIEWER: 'openInViewer',
+    DESKTOP: 'editInDesktop',
+    PDF: 'convertToPdf',
+    DOWNLOAD: 'downloadOriginal'
+};
+
+const CONTEXT_MENU_TITLES = {
+    [ContextMenuId.VIEWER]: 'Open in Office viewer',
+    [ContextMenuId.DESKTOP]: 'Edit in desktop Word, Excel or PowerPoint',
+    [ContextMenuId.PDF]: 'Convert to PDF',
+    [ContextMenuId.DOWNLOAD]: 'Download original'
+};
+
+/**
+ * Works out what kind of document a link points to: from its extension if
+ * that is known, otherwise from the headers of a HEAD request. The request
+ * needs the server to allow it through CORS; when it doesn't, the viewer page
+ * detects the type from the content instead.
+ * @param {string} url
+ * @return {!Promise<{mimeType: string, extension: string, fileName: string}>}
+ */
+async function GuessLinkType(url) {
+    let fileName = '';
+    try {
+        fileName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    } catch (error) {
+        // Keep the name empty for malformed URLs.
+    }
+    const extension = GetUrlExtension(fileName);
+    const fileType = GetFileTypeForExtension(extension);
+    if (fileType) {
+        return {
+            mimeType: fileType.mimeTypes[0],
+            extension: extension,
+            fileName: fileName
+        };
+    }
+    try {
+        const response = await fetch(url, {
+            method: 'HEAD',
+            credentials: 'include'
+        });
+        fileName =
+            GetContentDispositionFileName(
+                response.headers.get('content-disposition') || ''
+            ) || fileName;
+        return {
+            mimeType: (response.headers.get('content-type') || '')
+                .split(';')[0]
+                .trim(),
+            extension: GetUrlExtension(fileName),
+            fileName: fileName
+        };
+    } catch (error) {
+        return { mimeType: '', extension: extension, fileName: fileName };
+    }
+}
+
+/**
+ * @param {!Object} info What was clicked, see chrome.contextMenus.OnClickData.
+ */
+function OnContextMenuClicked(info) {
+    const url = info.linkUrl || info.pageUrl;
+    if (info.menuItemId === ContextMenuId.DOWNLOAD) {
+        DownloadOriginal(url);
+        return;
+    }
+    GuessLinkType(url).then(function (link) {
+        switch (info.menuItemId) {
+            case ContextMenuId.DESKTOP: {
+                const handler =
+                    GetDocumentTypeHadler(link.mimeType) ||
+                    GetDocumentTypeForExtension(link.extension);
+                if (handler) {
+                    OpenInDesktopApp(handler, url);
+                } else {
+                    // The viewer page picks the app once it has the content.
+                    OpenInViewerTab(
+                        url,
+                        link.mimeType,
+                        RouteAction.DESKTOP,
+                        link.fileName
+                    );
+                }
+                break;
+            }
+            case ContextMenuId.PDF:
+                OpenInViewerTab(
+                    url,
+                    link.mimeType,
+                    RouteAction.PDF,
+                    link.fileName
+                );
+                break;
+            default:
+                OpenInViewerTab(
+                    url,
+                    link.mimeType,
+                    RouteAction.VIEWER,
+                    link.fileName
+                );
+        }
+    });
+}
+
+chrome.contextMenus.removeAll(function () {
+    for (const id of Object.values(ContextMenuId)) {
+        chrome.contextMenus.create({
+            id: id,
+            title: CONTEXT_MENU_TITLES[id],
+            contexts: ['link', 'page'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*'],
+            targetUrlPatterns: ['http://*/*', 'https://*/*']
+        });
+    }
+});
+chrome.contextMenus.onClicked.addListener(OnContextMenuClicked);
+
+chrome.downloads.onCreated.addListener(function (item) {
+    const url = item.finalUrl || item.url;
+    // Downloads of a document a viewer is showing come from the viewer.
+    if (
+        ownDownloadUrls.has(url) ||
+        url.indexOf('http') !== 0 ||
+        redirectLoopGuard.isShownAnywhere(url)
+    ) {
+        return;
+    }
+    const extension = GetUrlExtension(item.filename || url);
+    const fileType = GetFileType(item.mime, extension);
+    if (!fileType) {
+        return;
+    }
+    GetRouteForDocument({
+        url: url,
+        extension: extension,
+        mimeType: item.mime,
+        size: item.totalBytes > 0 ? item.totalBytes : -1
+    }).then(function (action) {
+        // Downloads the viewer couldn't show are left alone.
+        if (
+            action === RouteAction.DOWNLOAD ||
+            !FileTypeSupportsAction(fileType, action)
+        ) {
+            RecordRouteMetrics(RouteAction.DOWNLOAD, fileType.kind);
+            return;
+        }
+        chrome.downloads.cancel(item.id, function () {
+            chrome.downloads.erase({ id: item.id });
+        });
+        if (action === RouteAction.DESKTOP) {
+            OpenInDesktopApp(fileType.handler, url);
+        } else {
+            OpenInViewerTab(
+                url,
+                item.mime,
+                action,
+                (item.filename || '').split(/[\\/]/).pop()
+            );
+        }
+    });
+});
@@ -0,0 +1,519 @@
+// Largest table the diff fills in, in entries. Longer documents are only
+// compared as far as their common start and end; everything in between is
+// shown as changed.
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * @enum {string}
+ */
+const DiffOp = {
+    SAME: 'same',
+    REMOVED: 'removed',
+    ADDED: 'added'
+};
+
+/**
+ * Finds the shortest way to turn |a| into |b| by removing and adding items,
+ * through their longest common subsequence.
+ * @param {!Array<string>} a
+ * @param {!Array<string>} b
+ * @return {!Array<{op: DiffOp, a: number, b: number}>} The steps in order,
+ *     with the index of the item in |a| and in |b|, or -1 for the sequence
+ *     the item isn't in.
+ */
+function DiffSequences(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const steps = [];
+    for (let i = 0; i < start; i++) {
+        steps.push({ op: DiffOp.SAME, a: i, b: i });
+    }
+    const n = endA - start;
+    const m = endB - start;
+    let i = 0;
+    let j = 0;
+    if ((n + 1) * (m + 1) <= MAX_DIFF_CELLS) {
+        // lengths[i * (m + 1) + j] is the length of the longest common
+        // subsequence of what follows a[start + i] and b[start + j].
+        const lengths = new Uint32Array((n + 1) * (m + 1));
+        for (let x = n - 1; x >= 0; x--) {
+            for (let y = m - 1; y >= 0; y--) {
+                lengths[x * (m + 1) + y] =
+                    a[start + x] === b[start + y]
+                        ? lengths[(x + 1) * (m + 1) + y + 1] + 1
+                        : Math.max(
+                              lengths[(x + 1) * (m + 1) + y],
+                              lengths[x * (m + 1) + y + 1]
+                          );
+            }
+        }
+        while (i < n && j < m) {
+            if (a[start + i] === b[start + j]) {
+                steps.push({ op: DiffOp.SAME, a: start + i++, b: start + j++ });
+            } else if (
+                lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]
+            ) {
+                steps.push({ op: DiffOp.REMOVED, a: start + i++, b: -1 });
+            } else {
+                steps.push({ op: DiffOp.ADDED, a: -1, b: start + j++ });
+            }
+        }
+    }
+    for (; i < n; i++) {
+        steps.push({ op: DiffOp.REMOVED, a: start + i, b: -1 });
+    }
+    for (; j < m; j++) {
+        steps.push({ op: DiffOp.ADDED, a: -1, b: start + j });
+    }
+    for (let k = 0; k < a.length - endA; k++) {
+        steps.push({ op: DiffOp.SAME, a: endA + k, b: endB + k });
+    }
+    return steps;
+}
+
+/**
+ * @param {string} text
+ * @return {!Array<string>} The words, runs of white space and punctuation
+ *     marks of |text|, which put together give |text| back.
+ */
+function SplitWords(text) {
+    return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * @param {!Array<!Object>} blocks See ReadDocxBlocks().
+ * @return {!Array<{tagName: string, text: string}>} The paragraphs that hold
+ *     text, with those of tables read cell by cell.
+ */
+function GetDocxParagraphs(blocks) {
+    const paragraphs = [];
+    for (const block of blocks) {
+        if (block.type === 'table') {
+            for (const row of block.rows) {
+                for (const cell of row) {
+                    paragraphs.push(...GetDocxParagraphs(cell));
+                }
+            }
+            continue;
+        }
+        const text = block.runs.map((run) => run.text).join('');
+        if (text.trim()) {
+            paragraphs.push({
+                tagName: GetDocxBlockTagName(block),
+                text: text
+            });
+        }
+    }
+    return paragraphs;
+}
+
+/**
+ * Compares the words of two versions of a paragraph.
+ * @param {string} left
+ * @param {string} right
+ * @return {{left: !Array<{text: string, changed: boolean}>,
+ *     right: !Array<{text: string, changed: boolean}>}} The text of each
+ *     version in segments, marking the words that aren't in the other.
+ */
+function CompareParagraphText(left, right) {
+    const leftWords = SplitWords(left);
+    const rightWords = SplitWords(right);
+    const segments = { left: [], right: [] };
+    const add = function (side, text, changed) {
+        const last = segments[side][segments[side].length - 1];
+        if (last && last.changed === changed) {
+            last.text += text;
+        } else {
+            segments[side].push({ text: text, changed: changed });
+        }
+    };
+    for (const step of DiffSequences(leftWords, rightWords)) {
+        if (step.op !== DiffOp.ADDED) {
+            add('left', leftWords[step.a], step.op === DiffOp.REMOVED);
+        }
+        if (step.op !== DiffOp.REMOVED) {
+            add('right', rightWords[step.b], step.op === DiffOp.ADDED);
+        }
+    }
+    return segments;
+}
+
+/**
+ * Lines up the paragraphs of two versions of a Word document. Paragraphs
+ * removed and added at the same place are taken as one changed paragraph and
+ * compared word by word.
+ * @param {!Array<{tagName: string, text: string}>} left See
+ *     GetDocxParagraphs().
+ * @param {!Array<{tagName: string, text: string}>} right
+ * @return {!Array<{op: string, left: Object, right: Object}>} One row per
+ *     paragraph shown: |op| is a DiffOp or 'changed', and |left| and |right|
+ *     are {tagName, segments} as in CompareParagraphText(), or null where the
+ *     paragraph isn't in that version.
+ */
+function CompareDocxParagraphs(left, right) {
+    const rows = [];
+    const whole = function (paragraph, changed) {
+        return {
+            tagName: paragraph.tagName,
+            segments: [{ text: paragraph.text, changed: changed }]
+        };
+    };
+    let removed = [];
+    let added = [];
+    const flush = function () {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            const a = removed[k];
+            const b = added[k];
+            if (a && b) {
+                const segments = CompareParagraphText(a.text, b.text);
+                rows.push({
+                    op: 'changed',
+                    left: { tagName: a.tagName, segments: segments.left },
+                    right: { tagName: b.tagName, segments: segments.right }
+                });
+            } else if (a) {
+                rows.push({
+                    op: DiffOp.REMOVED,
+                    left: whole(a, true),
+                    right: null
+                });
+            } else {
+                rows.push({
+                    op: DiffOp.ADDED,
+                    left: null,
+                    right: whole(b, true)
+                });
+            }
+        }
+        removed = [];
+        added = [];
+    };
+    const texts = (paragraphs) => paragraphs.map((paragraph) => paragraph.text);
+    for (const step of DiffSequences(texts(left), texts(right))) {
+        if (step.op === DiffOp.REMOVED) {
+            removed.push(left[step.a]);
+        } else if (step.op === DiffOp.ADDED) {
+            added.push(right[step.b]);
+        } else {
+            flush();
+            rows.push({
+                op: DiffOp.SAME,
+                left: whole(left[step.a], false),
+                right: whole(right[step.b], false)
+            });
+        }
+    }
+    flush();
+    return rows;
+}
+
+/**
+ * Pairs up the sheets of two versions of a workbook by name.
+ * @param {!Array<!Object>} left See ReadXlsx().
+ * @param {!Array<!Object>} right
+ * @return {!Array<{name: string, left: Object, right: Object,
+ *     changed: !Set<string>}>} The sheets of |left| in order, then the ones
+ *     only in |right|. |left| or |right| is null where the sheet isn't in
+ *     that version, and |changed| holds the references of the cells whose
+ *     values differ.
+ */
+function CompareXlsxSheets(left, right) {
+    const empty = { cells: new Map(), rows: 0, columns: 0 };
+    const names = left.map((sheet) => sheet.name);
+    for (const sheet of right) {
+        if (names.indexOf(sheet.name) === -1) {
+            names.push(sheet.name);
+        }
+    }
+    return names.map(function (name) {
+        const a = left.find((sheet) => sheet.name === name) || null;
+        const b = right.find((sheet) => sheet.name === name) || null;
+        const aCells = (a || empty).cells;
+        const bCells = (b || empty).cells;
+        const changed = new Set();
+        for (const ref of new Set([...aCells.keys(), ...bCells.keys()])) {
+            if ((aCells.get(ref) || '') !== (bCells.get(ref) || '')) {
+                changed.add(ref);
+            }
+        }
+        return { name: name, left: a, right: b, changed: changed };
+    });
+}
+
+/**
+ * @param {!Array<!Object>} rows See CompareDocxParagraphs().
+ * @param {string} side 'left' or 'right'.
+ * @return {!Element} A page showing one version, with blank paragraphs in
+ *     place of the ones only in the other so that the two line up.
+ */
+function CreateDocxComparisonPage(rows, side) {
+    const page = CreateElement('div', 'preview-page');
+    for (const row of rows) {
+        const paragraph = row[side];
+        if (!paragraph) {
+            page.appendChild(CreateElement('p', 'compare-spacer', ' '));
+            continue;
+        }
+        const element = CreateElement(
+            paragraph.tagName,
+            row.op === DiffOp.SAME ? '' : 'compare-' + row.op
+        );
+        for (const segment of paragraph.segments) {
+            element.appendChild(
+                segment.changed
+                    ? CreateElement('mark', 'compare-mark', segment.text)
+                    : document.createTextNode(segment.text)
+            );
+        }
+        page.appendChild(element);
+    }
+    return page;
+}
+
+/**
+ * @param {!OoxmlPackage} leftPackage
+ * @param {!OoxmlPackage} rightPackage
+ * @param {!Array<!Element>} previews The left and right preview elements.
+ * @return {!Promise<string>} A summary of the differences.
+ */
+async function RenderDocxComparison(leftPackage, rightPackage, previews) {
+    const [left, right] = await Promise.all([
+        ReadDocx(leftPackage),
+        ReadDocx(rightPackage)
+    ]);
+    const rows = CompareDocxParagraphs(
+        GetDocxParagraphs(left),
+        GetDocxParagraphs(right)
+    );
+    previews[0].appendChild(CreateDocxComparisonPage(rows, 'left'));
+    previews[1].appendChild(CreateDocxComparisonPage(rows, 'right'));
+
+    const counts = { changed: 0, removed: 0, added: 0 };
+    for (const row of rows) {
+        if (row.op !== DiffOp.SAME) {
+            counts[row.op]++;
+        }
+    }
+    if (!counts.changed && !counts.removed && !counts.added) {
+        return 'The text of the two versions is the same.';
+    }
+    return (
+        counts.changed +
+        ' paragraphs changed, ' +
+        counts.added +
+        ' added and ' +
+        counts.removed +
+        ' removed.'
+    );
+}
+
+/**
+ * @param {!Object} comparison One sheet of CompareXlsxSheets().
+ * @param {string} side 'left' or 'right'.
+ * @return {!Element} The sheet in that version, as large as in either
+ *     version so that the two line up, with the changed cells marked.
+ */
+function CreateSheetComparisonGrid(comparison, side) {
+    const sheet = comparison[side] || { cells: new Map() };
+    const table = CreateSheetGrid({
+        cells: sheet.cells,
+        rows: Math.max(
+            comparison.left ? comparison.left.rows : 0,
+            comparison.right ? comparison.right.rows : 0
+        ),
+        columns: Math.max(
+            comparison.left ? comparison.left.columns : 0,
+            comparison.right ? comparison.right.columns : 0
+        )
+    });
+    const body = table.tBodies[0];
+    for (const ref of comparison.changed) {
+        const position = ParseCellRef(ref);
+        const row = body.rows[position.row];
+        // The first cell of each row is its number.
+        const cell = row && row.cells[position.column + 1];
+        if (cell) {
+            cell.classList.add('compare-mark');
+        }
+    }
+    return table;
+}
+
+/**
+ * @param {!OoxmlPackage} leftPackage
+ * @param {!OoxmlPackage} rightPackage
+ * @param {!Array<!Element>} previews The left and right preview elements.
+ * @param {!Element} tabs Element to add a tab for each sheet to.
+ * @return {!Promise<string>} A summary of the differences.
+ */
+async function RenderXlsxComparison(leftPackage, rightPackage, previews, tabs) {
+    const [left, right] = await Promise.all([
+        ReadXlsx(leftPackage),
+        ReadXlsx(rightPackage)
+    ]);
+    const sheets = CompareXlsxSheets(left, right);
+    const showSheet = function (index) {
+        const comparison = sheets[index];
+        ['left', 'right'].forEach(function (side, i) {
+            const grid = CreateElement('div', 'preview-sheet');
+            grid.appendChild(
+                comparison[side]
+                    ? CreateSheetComparisonGrid(comparison, side)
+                    : CreateElement(
+                          'div',
+                          'preview-note',
+                          'This version has no sheet named ' +
+                              comparison.name +
+                              '.'
+                      )
+            );
+            previews[i].textContent = '';
+            previews[i].appendChild(grid);
+        });
+        Array.from(tabs.children).forEach(function (tab, i) {
+            tab.classList.toggle('selected', i === index);
+        });
+    };
+    tabs.textContent = '';
+    sheets.forEach(function (comparison, index) {
+        const tab = CreateElement(
+            'button',
+            'preview-sheet-tab',
+            comparison.name +
+                (comparison.changed.size
+                    ? ' (' + comparison.changed.size + ')'
+                    : '')
+        );
+        tab.onclick = function () {
+            showSheet(index);
+        };
+        tabs.appendChild(tab);
+    });
+    if (sheets.length) {
+        showSheet(0);
+    }
+
+    const changed = sheets.filter((comparison) => comparison.changed.size);
+    if (!changed.length) {
+        return 'The cell values of the two versions are the same.';
+    }
+    let cells = 0;
+    for (const comparison of changed) {
+        cells += comparison.changed.size;
+    }
+    return cells + ' cells changed in ' + changed.length + ' sheets.';
+}
+
+/**
+ * Shows two versions of a document side by side, highlighting the text that
+ * differs in Word documents and the cells that differ in Excel workbooks.
+ * PowerPoint presentations are shown side by side without highlights.
+ * Nothing is sent anywhere.
+ * @param {!Uint8Array} leftBytes
+ * @param {!Uint8Array} rightBytes
+ * @param {!Array<!Element>} containers The left and right elements to render
+ *     into; their content is replaced.
+ * @param {!Element} tabs Element for the sheet tabs of workbooks; emptied for
+ *     other documents.
+ * @return {!Promise<string>} A summary of the differences.
+ * @throws {Error} Through the promise, if either document isn't an OOXML
+ *     package, or they are of different formats.
+ */
+async function RenderComparison(leftBytes, rightBytes, containers, tabs) {
+    if (!ZipArchive.isZip(leftBytes) || !ZipArchive.isZip(rightBytes)) {
+        throw new Error(
+            'Only Word, Excel and PowerPoint 2007 or later documents can be ' +
+                'compared.'
+        );
+    }
+    const leftPackage = OoxmlPackage.open(leftBytes);
+    const rightPackage = OoxmlPackage.open(rightBytes);
+    const format = leftPackage.getFormat();
+    if (format !== rightPackage.getFormat()) {
+        throw new Error('The two documents are not of the same kind.');
+    }
+    const previews = containers.map(() => CreateElement('div', 'preview'));
+    let summary;
+    tabs.textContent = '';
+    switch (format) {
+        case 'docx':
+            summary = await RenderDocxComparison(
+                leftPackage,
+                rightPackage,
+                previews
+            );
+            break;
+        case 'xlsx':
+            summary = await RenderXlsxComparison(
+                leftPackage,
+                rightPackage,
+                previews,
+                tabs
+            );
+            break;
+        case 'pptx':
+            await RenderPptx(leftPackage, previews[0]);
+            await RenderPptx(rightPackage, previews[1]);
+            summary =
+                'Differences are only highlighted in Word and Excel ' +
+                'documents.';
+            break;
+        default:
+            throw new Error(
+                'The documents are not Word, Excel or PowerPoint files.'
+            );
+    }
+    containers.forEach(function (container, i) {
+        container.textContent = '';
+        container.appendChild(previews[i]);
+    });
+    return summary;
+}
+
+/**
+ * Keeps scrollable elements at the same relative position, so that scrolling
+ * one scrolls the others along.
+ * @param {!Array<!Element>} elements
+ */
+function SyncScrolling(elements) {
+    // The element being scrolled by the user, so that the scroll events of the
+    // ones following it aren't passed on in turn.
+    let leader = null;
+    const ratio = (position, size) => (size > 0 ? position / size : 0);
+    for (const element of elements) {
+        element.addEventListener('scroll', function () {
+            if (leader && leader !== element) {
+                return;
+            }
+            leader = element;
+            const top = ratio(
+                element.scrollTop,
+                element.scrollHeight - element.clientHeight
+            );
+            const left = ratio(
+                element.scrollLeft,
+                element.scrollWidth - element.clientWidth
+            );
+            for (const other of elements) {
+                if (other !== element) {
+                    other.scrollTop =
+                        top * (other.scrollHeight - other.clientHeight);
+                    other.scrollLeft =
+                        left * (other.scrollWidth - other.clientWidth);
+                }
+            }
+            requestAnimationFrame(function () {
+                leader = null;
+            });
+        });
+    }
+}
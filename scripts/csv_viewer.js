@@ -0,0 +1,499 @@
+const CSV_ROW_HEIGHT = 24;
+const CSV_DEFAULT_COLUMN_WIDTH = 140;
+const CSV_MIN_COLUMN_WIDTH = 40;
+// Rows drawn above and below the visible ones so fast scrolling doesn't show
+// blank space.
+const CSV_OVERSCAN_ROWS = 20;
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guesses the text encoding of a CSV file from its first bytes.
+ * @param {!Uint8Array} bytes
+ * @return {string} A TextDecoder label.
+ */
+function DetectCsvEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return 'utf-8';
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return 'utf-16le';
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return 'utf-16be';
+    }
+    try {
+        // The sample may end in the middle of a multi-byte character.
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, {
+            stream: true
+        });
+        return 'utf-8';
+    } catch (e) {
+        // Excel writes CSV in the ANSI code page, which is usually this one.
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Guesses the delimiter and quote character from the start of a CSV file:
+ * the delimiter is the candidate that splits the sample lines into the same,
+ * largest number of fields.
+ * @param {string} sample
+ * @return {{delimiter: string, quote: string}}
+ */
+function DetectCsvDialect(sample) {
+    const lines = sample.split(/\r\n|\n|\r/).slice(0, 20);
+    if (lines.length > 1) {
+        // The last line is probably cut off.
+        lines.pop();
+    }
+    const doubleQuotes = (sample.match(/"/g) || []).length;
+    const singleQuotes = (sample.match(/(^|[,;\t|])'/gm) || []).length;
+    const quote = singleQuotes > doubleQuotes ? "'" : '"';
+
+    let best = { delimiter: ',', score: 0 };
+    for (const delimiter of CSV_DELIMITERS) {
+        const counts = lines.map(function (line) {
+            let count = 0;
+            let quoted = false;
+            for (const char of line) {
+                if (char === quote) {
+                    quoted = !quoted;
+                } else if (char === delimiter && !quoted) {
+                    count++;
+                }
+            }
+            return count;
+        });
+        const first = counts[0];
+        if (!first) {
+            continue;
+        }
+        const consistent = counts.filter((count) => count === first).length;
+        const score = (consistent / counts.length) * first;
+        if (score > best.score) {
+            best = { delimiter: delimiter, score: score };
+        }
+    }
+    return { delimiter: best.delimiter, quote: quote };
+}
+
+// Incremental CSV parser. Text can be pushed in arbitrary chunks; complete
+// rows are passed to |onRow| as soon as they are known.
+class CsvParser {
+    /**
+     * @param {{delimiter: string, quote: string}} dialect
+     * @param {function(!Array<string>)} onRow
+     */
+    constructor(dialect, onRow) {
+        this.delimiter_ = dialect.delimiter;
+        this.quote_ = dialect.quote;
+        this.onRow_ = onRow;
+        this.row_ = [];
+        this.field_ = '';
+        this.quoted_ = false;
+        // A quote inside a quoted field, which either closes the field or
+        // starts an escaped quote.
+        this.pendingQuote_ = false;
+        // A CR was just seen, so a following LF belongs to the same line end.
+        this.afterCr_ = false;
+    }
+
+    /**
+     * @param {string} text
+     */
+    push(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (this.afterCr_) {
+                this.afterCr_ = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+            if (this.quoted_) {
+                if (this.pendingQuote_) {
+                    this.pendingQuote_ = false;
+                    if (char === this.quote_) {
+                        this.field_ += char;
+                        continue;
+                    }
+                    this.quoted_ = false;
+                } else if (char === this.quote_) {
+                    this.pendingQuote_ = true;
+                    continue;
+                } else {
+                    this.field_ += char;
+                    continue;
+                }
+            }
+            if (char === this.delimiter_) {
+                this.endField_();
+            } else if (char === '\n' || char === '\r') {
+                this.afterCr_ = char === '\r';
+                this.endRow_();
+            } else if (char === this.quote_ && this.field_ === '') {
+                this.quoted_ = true;
+            } else {
+                this.field_ += char;
+            }
+        }
+    }
+
+    /** Flushes the last row if the text didn't end with a line break. */
+    finish() {
+        if (this.field_ !== '' || this.row_.length > 0) {
+            this.endRow_();
+        }
+    }
+
+    /** @private */
+    endField_() {
+        this.row_.push(this.field_);
+        this.field_ = '';
+        this.quoted_ = false;
+        this.pendingQuote_ = false;
+    }
+
+    /** @private */
+    endRow_() {
+        this.endField_();
+        const row = this.row_;
+        this.row_ = [];
+        // Skip blank lines.
+        if (row.length > 1 || row[0] !== '') {
+            this.onRow_(row);
+        }
+    }
+}
+
+/**
+ * @param {string} value
+ * @param {{delimiter: string, quote: string}} dialect
+ * @return {string} |value| quoted for CSV output if it needs to be.
+ */
+function QuoteCsvField(value, dialect) {
+    const quote = dialect.quote;
+    if (
+        value.indexOf(dialect.delimiter) === -1 &&
+        value.indexOf(quote) === -1 &&
+        !/[\r\n]/.test(value)
+    ) {
+        return value;
+    }
+    return quote + value.split(quote).join(quote + quote) + quote;
+}
+
+/**
+ * Compares two cell values, numerically when both are numbers.
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+function CompareCsvValues(a, b) {
+    const x = a === undefined ? '' : a;
+    const y = b === undefined ? '' : b;
+    const numberX = Number(x);
+    const numberY = Number(y);
+    if (x !== '' && y !== '' && !isNaN(numberX) && !isNaN(numberY)) {
+        return numberX - numberY;
+    }
+    return x.localeCompare(y, undefined, { numeric: true });
+}
+
+// Shows a CSV file as a table that only creates DOM nodes for the rows in
+// view, so very large files scroll smoothly. The first row is taken as the
+// header.
+class CsvViewer {
+    /**
+     * @param {!Element} container Element to render into.
+     * @param {string} fileName Used to name exported files.
+     */
+    constructor(container, fileName) {
+        this.fileName_ = fileName;
+        this.dialect_ = { delimiter: ',', quote: '"' };
+        this.header_ = null;
+        this.rows_ = [];
+        // Indices into |rows_| of the rows shown, after filtering and sorting.
+        this.view_ = [];
+        this.columnWidths_ = [];
+        this.filter_ = '';
+        this.sort_ = { column: -1, descending: false };
+        this.renderScheduled_ = false;
+        this.build_(container);
+    }
+
+    /**
+     * Reads and parses the whole stream, showing rows as they arrive.
+     * @param {!ReadableStreamDefaultReader} reader
+     * @return {!Promise}
+     */
+    async load(reader) {
+        let decoder = null;
+        let parser = null;
+        while (true) {
+            const result = await reader.read();
+            if (result.done) {
+                break;
+            }
+            if (!decoder) {
+                decoder = new TextDecoder(DetectCsvEncoding(result.value));
+                const text = decoder.decode(result.value, { stream: true });
+                this.dialect_ = DetectCsvDialect(text);
+                parser = new CsvParser(this.dialect_, (row) =>
+                    this.addRow_(row)
+                );
+                parser.push(text);
+            } else {
+                parser.push(decoder.decode(result.value, { stream: true }));
+            }
+            this.status_.textContent =
+                'Loading... ' + this.rows_.length.toLocaleString() + ' rows';
+            this.scheduleRender_();
+        }
+        if (parser) {
+            parser.push(decoder.decode());
+            parser.finish();
+        }
+        this.applyView_();
+    }
+
+    /**
+     * @param {!Array<string>} row
+     * @private
+     */
+    addRow_(row) {
+        if (!this.header_) {
+            this.header_ = row;
+        } else {
+            this.rows_.push(row);
+            if (!this.filter_ && this.sort_.column < 0) {
+                this.view_.push(this.rows_.length - 1);
+            }
+        }
+        while (this.columnWidths_.length < row.length) {
+            this.columnWidths_.push(CSV_DEFAULT_COLUMN_WIDTH);
+        }
+    }
+
+    /**
+     * @param {!Element} container
+     * @private
+     */
+    build_(container) {
+        container.textContent = '';
+        this.root_ = CreateElement('div', 'csv-viewer');
+
+        const toolbar = CreateElement('div', 'csv-toolbar');
+        this.filterInput_ = CreateElement('input', 'csv-filter');
+        this.filterInput_.type = 'search';
+        this.filterInput_.placeholder = 'Filter rows';
+        let filterTimer = null;
+        this.filterInput_.oninput = () => {
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(() => {
+                this.filter_ = this.filterInput_.value.trim().toLowerCase();
+                this.applyView_();
+            }, 200);
+        };
+        toolbar.appendChild(this.filterInput_);
+        const exportButton = CreateElement('button', 'csv-export', 'Export view');
+        exportButton.onclick = () => this.exportView_();
+        toolbar.appendChild(exportButton);
+        this.status_ = CreateElement('span', 'csv-status');
+        toolbar.appendChild(this.status_);
+        this.root_.appendChild(toolbar);
+
+        this.headerRow_ = CreateElement('div', 'csv-header');
+        this.root_.appendChild(this.headerRow_);
+
+        this.scroller_ = CreateElement('div', 'csv-scroller');
+        this.spacer_ = CreateElement('div', 'csv-spacer');
+        this.scroller_.appendChild(this.spacer_);
+        this.scroller_.onscroll = () => {
+            this.headerRow_.scrollLeft = this.scroller_.scrollLeft;
+            this.scheduleRender_();
+        };
+        this.root_.appendChild(this.scroller_);
+        container.appendChild(this.root_);
+        window.addEventListener('resize', () => this.scheduleRender_());
+    }
+
+    /**
+     * Recomputes the visible rows from the filter and sort order.
+     * @private
+     */
+    applyView_() {
+        const filter = this.filter_;
+        let view = [];
+        for (let i = 0; i < this.rows_.length; i++) {
+            if (
+                !filter ||
+                this.rows_[i].some((value) =>
+                    value.toLowerCase().includes(filter)
+                )
+            ) {
+                view.push(i);
+            }
+        }
+        const column = this.sort_.column;
+        if (column >= 0) {
+            const direction = this.sort_.descending ? -1 : 1;
+            view.sort(
+                (a, b) =>
+                    direction *
+                        CompareCsvValues(this.rows_[a][column], this.rows_[b][column]) ||
+                    a - b
+            );
+        }
+        this.view_ = view;
+        this.status_.textContent =
+            view.length === this.rows_.length
+                ? this.rows_.length.toLocaleString() + ' rows'
+                : view.length.toLocaleString() +
+                  ' of ' +
+                  this.rows_.length.toLocaleString() +
+                  ' rows';
+        this.scroller_.scrollTop = 0;
+        this.render_();
+    }
+
+    /** @private */
+    scheduleRender_() {
+        if (this.renderScheduled_) {
+            return;
+        }
+        this.renderScheduled_ = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled_ = false;
+            this.render_();
+        });
+    }
+
+    /** @private */
+    render_() {
+        const totalWidth = this.columnWidths_.reduce((a, b) => a + b, 0);
+        this.spacer_.style.height = this.view_.length * CSV_ROW_HEIGHT + 'px';
+        this.spacer_.style.width = totalWidth + 'px';
+        this.renderHeader_();
+
+        const first = Math.max(
+            0,
+            Math.floor(this.scroller_.scrollTop / CSV_ROW_HEIGHT) -
+                CSV_OVERSCAN_ROWS
+        );
+        const last = Math.min(
+            this.view_.length,
+            Math.ceil(
+                (this.scroller_.scrollTop + this.scroller_.clientHeight) /
+                    CSV_ROW_HEIGHT
+            ) + CSV_OVERSCAN_ROWS
+        );
+        const fragment = document.createDocumentFragment();
+        for (let i = first; i < last; i++) {
+            const row = this.rows_[this.view_[i]];
+            const element = CreateElement('div', 'csv-row');
+            element.style.top = i * CSV_ROW_HEIGHT + 'px';
+            element.style.width = totalWidth + 'px';
+            for (let column = 0; column < this.columnWidths_.length; column++) {
+                const cell = CreateElement('div', 'csv-cell', row[column]);
+                cell.style.width = this.columnWidths_[column] + 'px';
+                element.appendChild(cell);
+            }
+            fragment.appendChild(element);
+        }
+        this.spacer_.textContent = '';
+        this.spacer_.appendChild(fragment);
+    }
+
+    /** @private */
+    renderHeader_() {
+        this.headerRow_.textContent = '';
+        const header = this.header_ || [];
+        const inner = CreateElement('div', 'csv-header-inner');
+        inner.style.width =
+            this.columnWidths_.reduce((a, b) => a + b, 0) + 'px';
+        this.columnWidths_.forEach((width, column) => {
+            let label = header[column] || GetColumnName(column);
+            if (this.sort_.column === column) {
+                label += this.sort_.descending ? ' ▼' : ' ▲';
+            }
+            const cell = CreateElement('div', 'csv-header-cell', label);
+            cell.style.width = width + 'px';
+            cell.title = 'Sort by ' + (header[column] || GetColumnName(column));
+            cell.onclick = () => this.toggleSort_(column);
+            const handle = CreateElement('div', 'csv-resize-handle');
+            handle.onclick = (event) => event.stopPropagation();
+            handle.onmousedown = (event) => this.startResize_(event, column);
+            cell.appendChild(handle);
+            inner.appendChild(cell);
+        });
+        this.headerRow_.appendChild(inner);
+        this.headerRow_.scrollLeft = this.scroller_.scrollLeft;
+    }
+
+    /**
+     * Cycles a column through ascending, descending and unsorted.
+     * @param {number} column
+     * @private
+     */
+    toggleSort_(column) {
+        if (this.sort_.column !== column) {
+            this.sort_ = { column: column, descending: false };
+        } else if (!this.sort_.descending) {
+            this.sort_.descending = true;
+        } else {
+            this.sort_ = { column: -1, descending: false };
+        }
+        this.applyView_();
+    }
+
+    /**
+     * @param {!MouseEvent} event
+     * @param {number} column
+     * @private
+     */
+    startResize_(event, column) {
+        event.preventDefault();
+        const startX = event.clientX;
+        const startWidth = this.columnWidths_[column];
+        const onMove = (moveEvent) => {
+            this.columnWidths_[column] = Math.max(
+                CSV_MIN_COLUMN_WIDTH,
+                startWidth + moveEvent.clientX - startX
+            );
+            this.scheduleRender_();
+        };
+        const onUp = () => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+        };
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Saves the filtered and sorted rows as a CSV file.
+     * @private
+     */
+    exportView_() {
+        const lines = [];
+        const toLine = (row) =>
+            row.map((value) => QuoteCsvField(value, this.dialect_)).join(
+                this.dialect_.delimiter
+            );
+        if (this.header_) {
+            lines.push(toLine(this.header_));
+        }
+        for (const index of this.view_) {
+            lines.push(toLine(this.rows_[index]));
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(
+            new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' })
+        );
+        const base = this.fileName_.replace(/\.csv$/i, '');
+        link.download = (this.filter_ ? base + ' (filtered)' : base) + '.csv';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
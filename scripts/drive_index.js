@@ -0,0 +1,286 @@
+// Each DriveIndex entry is stored under this prefix and its local path.
+const DRIVE_INDEX_KEY_PREFIX = 'driveItem:';
+// Where the whole index was kept before entries had keys of their own.
+const LEGACY_DRIVE_INDEX_KEY = 'driveItemIndex';
+
+/**
+ * @param {!Uint8Array} bytes
+ * @return {!Promise<string>} Hex encoded SHA-256 of |bytes|.
+ */
+function HashBytes(bytes) {
+    return crypto.subtle.digest('SHA-256', bytes).then(function (digest) {
+        return Array.from(new Uint8Array(digest))
+            .map((b) => b.toString(16).padStart(2, '0'))
+            .join('');
+    });
+}
+
+/**
+ * @param {string} url A file:// URL.
+ * @return {string} The file name part of |url|.
+ */
+function GetFileNameFromUrl(url) {
+    const segment = url.split(/[#?]/)[0].split('/').pop();
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        // Not valid percent-encoding, e.g. a literal '%' in the name.
+        return segment;
+    }
+}
+
+/**
+ * Adds a short content hash to a file name, e.g. 'spec (1a2b3c4d).docx'.
+ * @param {string} fileName
+ * @param {string} hash
+ * @return {string}
+ */
+function AddHashToFileName(fileName, hash) {
+    const dot = fileName.lastIndexOf('.');
+    const suffix = ' (' + hash.substring(0, 8) + ')';
+    if (dot <= 0) {
+        return fileName + suffix;
+    }
+    return fileName.substring(0, dot) + suffix + fileName.substring(dot);
+}
+
+/**
+ * How an uploaded copy compares with what was uploaded.
+ * @enum {string}
+ */
+const UploadSyncStatus = {
+    SYNCED: 'synced',
+    // The copy was changed in OneDrive, e.g. edited in Office for the web.
+    EDITED: 'edited',
+    // The copy is no longer in OneDrive.
+    DELETED: 'deleted',
+    // The copy couldn't be checked, e.g. while signed out.
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * @param {!Object} entry A DriveIndex entry.
+ * @param {Object} item The driveItem it points to, or null if it is gone.
+ * @return {UploadSyncStatus}
+ */
+function GetUploadSyncStatus(entry, item) {
+    if (!item) {
+        return UploadSyncStatus.DELETED;
+    }
+    // Entries from before content tags were kept can't tell.
+    if (entry.cTag && item.cTag !== entry.cTag) {
+        return UploadSyncStatus.EDITED;
+    }
+    return UploadSyncStatus.SYNCED;
+}
+
+/**
+ * @param {string} localPath
+ * @return {string} The storage key of the DriveIndex entry for |localPath|.
+ */
+function GetDriveIndexKey(localPath) {
+    return DRIVE_INDEX_KEY_PREFIX + localPath;
+}
+
+// Maps local file paths to the drive items they were uploaded as. Entries are
+// {itemId, name, hash, cTag, webUrl, uploadedAt, openedAt, tabId}: |cTag| is
+// the content tag of the item as uploaded, |openedAt| when the document was
+// last opened from it, and |tabId| the tab it was last opened in.
+//
+// Each entry has a storage key of its own, so that viewer tabs and the
+// background page writing different entries at once don't undo each other's
+// changes.
+class DriveIndex {
+    /**
+     * @return {!Promise<!Object<string, !Object>>}
+     */
+    getAll() {
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(null, function (items) {
+                const index = {};
+                for (const key in items) {
+                    if (key.startsWith(DRIVE_INDEX_KEY_PREFIX)) {
+                        index[key.substring(DRIVE_INDEX_KEY_PREFIX.length)] =
+                            items[key];
+                    }
+                }
+                resolve(index);
+            });
+        });
+    }
+
+    /**
+     * @param {string} localPath
+     * @return {!Promise<Object>} The entry for |localPath|, if any.
+     */
+    get(localPath) {
+        const key = GetDriveIndexKey(localPath);
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(key, function (items) {
+                resolve(items[key] || null);
+            });
+        });
+    }
+
+    /**
+     * @param {string} hash
+     * @return {!Promise<Object>} An entry for a file with this content, if any.
+     */
+    findByHash(hash) {
+        return this.getAll().then(function (index) {
+            for (const path in index) {
+                if (index[path].hash === hash) {
+                    return index[path];
+                }
+            }
+            return null;
+        });
+    }
+
+    /**
+     * @param {string} localPath
+     * @param {!Object} changes Fields to change in the entry for |localPath|,
+     *     if there is one.
+     * @return {!Promise}
+     */
+    update(localPath, changes) {
+        return this.get(localPath).then((entry) => {
+            if (entry) {
+                return this.set(localPath, Object.assign(entry, changes));
+            }
+        });
+    }
+
+    /**
+     * Removes every entry for a drive item. Identical local files share one.
+     * @param {string} itemId
+     * @return {!Promise}
+     */
+    removeItem(itemId) {
+        return this.getAll().then(function (index) {
+            const keys = Object.keys(index)
+                .filter((path) => index[path].itemId === itemId)
+                .map(GetDriveIndexKey);
+            return new Promise(function (resolve) {
+                chrome.storage.local.remove(keys, resolve);
+            });
+        });
+    }
+
+    /**
+     * @param {string} localPath
+     * @param {Object} entry The entry to store, or null to remove it.
+     * @return {!Promise}
+     */
+    set(localPath, entry) {
+        const key = GetDriveIndexKey(localPath);
+        return new Promise(function (resolve) {
+            if (entry) {
+                chrome.storage.local.set({ [key]: entry }, resolve);
+            } else {
+                chrome.storage.local.remove(key, resolve);
+            }
+        });
+    }
+
+    /**
+     * Moves the entries of an index kept under LEGACY_DRIVE_INDEX_KEY to keys
+     * of their own. Call once when the background page starts up.
+     * @return {!Promise}
+     */
+    migrate() {
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(LEGACY_DRIVE_INDEX_KEY, function (items) {
+                const index = items[LEGACY_DRIVE_INDEX_KEY];
+                if (!index) {
+                    resolve();
+                    return;
+                }
+                const entries = {};
+                for (const path in index) {
+                    entries[GetDriveIndexKey(path)] = index[path];
+                }
+                chrome.storage.local.set(entries, function () {
+                    chrome.storage.local.remove(
+                        LEGACY_DRIVE_INDEX_KEY,
+                        resolve
+                    );
+                });
+            });
+        });
+    }
+}
+
+/**
+ * Uploads a document to the configured OneDrive folder under its own
+ * name, or reuses the drive item it was uploaded as before if the content
+ * hasn't changed.
+ *
+ * A different file that already holds the name is never overwritten: the
+ * upload is retried under a name carrying the content hash, and if that is
+ * taken too, e.g. by a copy that was edited since, OneDrive picks a new name.
+ *
+ * @param {!Uint8Array} bytes The document content.
+ * @param {string} localUrl The URL the document was opened from: a file://
+ *     URL, or the address of a web document the online services can't reach.
+ * @param {!DriveUploader} uploader
+ * @param {number} tabId The tab the copy is opened in. It is stored with the
+ *     entry right away, so that a cleanup in between never finds the entry
+ *     without it.
+ * @param {string=} fileName Name to upload the document as. Defaults to the
+ *     last part of |localUrl|, which web addresses don't always end in.
+ * @return {!Promise<!Object>} The driveItem to open.
+ */
+async function UploadLocalDocument(
+    bytes,
+    localUrl,
+    uploader,
+    tabId,
+    fileName = GetFileNameFromUrl(localUrl)
+) {
+    const index = new DriveIndex();
+    const [hash, settings] = await Promise.all([
+        HashBytes(bytes),
+        LoadSettings()
+    ]);
+
+    const known = (await index.get(localUrl)) || (await index.findByHash(hash));
+    if (known && known.hash === hash) {
+        const item = await uploader.getItem(known.itemId);
+        if (item) {
+            await index.set(localUrl, Object.assign({}, known, {
+                webUrl: item.webUrl,
+                openedAt: Date.now(),
+                tabId: tabId
+            }));
+            return item;
+        }
+    }
+
+    const folder = settings.uploadFolder.replace(/^\/+|\/+$/g, '');
+    const prefix = folder ? folder + '/' : '';
+    let item;
+    try {
+        item = await uploader.upload(prefix + fileName, bytes, 'fail');
+    } catch (error) {
+        if (error.status !== 409) {
+            throw error;
+        }
+        item = await uploader.upload(
+            prefix + AddHashToFileName(fileName, hash),
+            bytes,
+            'rename'
+        );
+    }
+    await index.set(localUrl, {
+        itemId: item.id,
+        name: item.name,
+        hash: hash,
+        cTag: item.cTag,
+        webUrl: item.webUrl,
+        uploadedAt: Date.now(),
+        openedAt: Date.now(),
+        tabId: tabId
+    });
+    return item;
+}
@@ -0,0 +1,192 @@
+const DIAGNOSTICS_LOG_KEY = 'diagnosticsLog';
+// How many of the latest failures the diagnostics log keeps.
+const DIAGNOSTICS_LOG_SIZE = 20;
+// Longest ViewerError details kept in the diagnostics log, in characters.
+const DIAGNOSTICS_DETAILS_MAX_LENGTH = 1000;
+
+/**
+ * What failed.
+ * @enum {string}
+ */
+const ErrorCode = {
+    // The document couldn't be read from the stream or its URL.
+    FETCH_FAILED: 'fetch-failed',
+    // The document couldn't be uploaded to OneDrive.
+    UPLOAD_FAILED: 'upload-failed',
+    // The PDF conversion service failed.
+    CONVERSION_FAILED: 'conversion-failed',
+    // The web viewer didn't load.
+    VIEWER_LOAD_FAILED: 'viewer-load-failed',
+    // The built-in preview couldn't read the document.
+    PREVIEW_FAILED: 'preview-failed',
+    // A copy of the document couldn't be saved.
+    SAVE_FAILED: 'save-failed',
+    // No client to sign in to OneDrive with is set, see AUTH_CONFIG.
+    SIGN_IN_NOT_CONFIGURED: 'sign-in-not-configured'
+};
+
+/**
+ * @return {string} A random RFC 4122 version 4 UUID.
+ */
+function CreateCorrelationId() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0'));
+    return [
+        hex.slice(0, 4).join(''),
+        hex.slice(4, 6).join(''),
+        hex.slice(6, 8).join(''),
+        hex.slice(8, 10).join(''),
+        hex.slice(10).join('')
+    ].join('-');
+}
+
+/**
+ * A failure the viewer shows to the user. Its message is written for the
+ * user; the rest is for support.
+ */
+class ViewerError extends Error {
+    /**
+     * @param {ErrorCode} code
+     * @param {string} message
+     * @param {{retriable: (boolean|undefined), status: (number|undefined),
+     *     correlationId: (string|undefined), details: (string|undefined)}=}
+     *     options |status| is the HTTP status, or 0 if no service was
+     *     reached. |correlationId| is the ID the failed request was sent
+     *     with, if any; otherwise a new one is made up so that the failure
+     *     can still be found in the log. |details| are for the log only,
+     *     e.g. what the service answered.
+     */
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'ViewerError';
+        this.code = code;
+        this.retriable = !!options.retriable;
+        this.status = options.status || 0;
+        this.correlationId = options.correlationId || CreateCorrelationId();
+        this.details = options.details || '';
+    }
+
+    /**
+     * @param {*} error Anything thrown.
+     * @param {ErrorCode} code Used if |error| isn't a ViewerError already.
+     * @param {boolean} retriable Likewise.
+     * @return {!ViewerError}
+     */
+    static from(error, code, retriable) {
+        if (error instanceof ViewerError) {
+            return error;
+        }
+        return new ViewerError(
+            code,
+            error instanceof Error ? error.message : String(error),
+            { retriable: retriable }
+        );
+    }
+}
+
+// Entries are added by the background page only, one after the other, so that
+// failures in several tabs at once don't overwrite each other. Other pages
+// send theirs there, see DiagnosticsLog.add().
+let diagnosticsLogWrite_ = Promise.resolve();
+
+// The latest failures, newest first, kept in chrome.storage.local so that
+// they can be attached to support tickets. Entries are {time, code, name,
+// message, details, status, retriable, correlationId, host, version}. Only the
+// host of the document is kept, as its full URL may carry access tokens.
+class DiagnosticsLog {
+    /**
+     * @return {!Promise<!Array<!Object>>}
+     */
+    getAll() {
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(DIAGNOSTICS_LOG_KEY, function (items) {
+                resolve(items[DIAGNOSTICS_LOG_KEY] || []);
+            });
+        });
+    }
+
+    /**
+     * @param {!ViewerError} error
+     * @param {string} documentUrl
+     * @return {!Promise<!Object>} The entry added.
+     */
+    add(error, documentUrl) {
+        const entry = {
+            time: new Date().toISOString(),
+            code: error.code,
+            name: error.name,
+            message: error.message,
+            details: (error.details || '').substring(
+                0,
+                DIAGNOSTICS_DETAILS_MAX_LENGTH
+            ),
+            status: error.status,
+            retriable: error.retriable,
+            correlationId: error.correlationId,
+            host: GetUrlHostname(documentUrl),
+            version: chrome.runtime.getManifest().version
+        };
+        if (chrome.extension.getBackgroundPage() !== window) {
+            return new Promise(function (resolve) {
+                chrome.runtime.sendMessage(
+                    { type: 'addDiagnosticsEntry', entry: entry },
+                    function () {
+                        resolve(entry);
+                    }
+                );
+            });
+        }
+        return this.addEntry(entry).then(() => entry);
+    }
+
+    /**
+     * Stores an entry made by add(). Only called in the background page.
+     * @param {!Object} entry
+     * @return {!Promise}
+     */
+    addEntry(entry) {
+        diagnosticsLogWrite_ = diagnosticsLogWrite_
+            .then(() => this.getAll())
+            .then(function (entries) {
+                entries = [entry]
+                    .concat(entries)
+                    .slice(0, DIAGNOSTICS_LOG_SIZE);
+                return new Promise(function (resolve) {
+                    chrome.storage.local.set(
+                        { [DIAGNOSTICS_LOG_KEY]: entries },
+                        resolve
+                    );
+                });
+            });
+        return diagnosticsLogWrite_;
+    }
+}
+
+/**
+ * @param {!Array<!Object>} entries DiagnosticsLog entries.
+ * @return {string} The entries as text to paste into a support ticket.
+ */
+function FormatDiagnostics(entries) {
+    const lines = ['User agent: ' + navigator.userAgent, ''];
+    for (const entry of entries) {
+        lines.push(
+            [
+                entry.time,
+                entry.code,
+                entry.status ? 'HTTP ' + entry.status : 'no response',
+                entry.retriable ? 'retriable' : 'not retriable',
+                'correlation ' + entry.correlationId,
+                entry.host || 'local file',
+                'v' + entry.version
+            ].join(' | ')
+        );
+        lines.push('    ' + entry.name + ': ' + entry.message);
+        if (entry.details) {
+            lines.push('    ' + entry.details);
+        }
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,300 @@
+/**
+ * Every file type the extension handles. The "mime_types" list and the
+ * "file_handlers" lists in manifest.json hold exactly the MIME types and
+ * extensions listed here, so update both together; test/file_types.test.js
+ * checks that they agree.
+ *
+ * kind: Settings group, see DEFAULT_SETTINGS.defaultActions.
+ * app: Name of the Office app for the type.
+ * handler: Protocol that opens the type in the desktop app.
+ * color: Brand colour of the app, used for the toolbar.
+ * urlPrefix: Host prefix of the app's online services, e.g. for PDF
+ *     conversion.
+ * viewer: Whether the web viewer and the PDF conversion can show the type.
+ * preview: Whether the built-in offline preview can show the type. It reads
+ *     the 2007 and later formats of Word, Excel and PowerPoint, and CSV.
+ */
+const FILE_TYPES = [
+    {
+        kind: 'word',
+        app: 'Word',
+        handler: 'ms-word',
+        color: '#2C579A',
+        urlPrefix: 'wordcs',
+        viewer: true,
+        preview: true,
+        extensions: ['docm', 'docx', 'dotm', 'dotx'],
+        mimeTypes: [
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.wordprocessing-openxml',
+            'application/vnd.ces-quickword',
+            'application/vnd.ms-word.document.macroEnabled.12',
+            'application/vnd.ms-word.document.macroenabled.12',
+            'application/vnd.ms-word.document.12',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.template',
+            'application/vnd.ms-word.template.macroEnabled.12',
+            'application/vnd.ms-word.template.macroenabled.12'
+        ]
+    },
+    {
+        kind: 'powerpoint',
+        app: 'PowerPoint',
+        handler: 'ms-powerpoint',
+        color: '#B8472A',
+        urlPrefix: 'pptcs',
+        viewer: true,
+        preview: true,
+        extensions: ['potm', 'potx', 'ppsm', 'ppsx', 'pptm', 'pptx'],
+        mimeTypes: [
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            'application/vnd.ces-quickpoint',
+            'application/vnd.presentation-openxml',
+            'application/vnd.presentation-openxmlm',
+            'application/vnd.ms-powerpoint.presentation.macroEnabled.12',
+            'application/vnd.ms-powerpoint.presentation.macroenabled.12',
+            'application/vnd.openxmlformats-officedocument.presentationml.template',
+            'application/vnd.ms-powerpoint.template.macroEnabled.12',
+            'application/vnd.ms-powerpoint.template.macroenabled.12',
+            'application/vnd.openxmlformats-officedocument.presentationml.slideshow',
+            'application/vnd.ms-powerpoint.slideshow.macroEnabled.12',
+            'application/vnd.ms-powerpoint.slideshow.macroenabled.12'
+        ]
+    },
+    {
+        kind: 'excel',
+        app: 'Excel',
+        handler: 'ms-excel',
+        color: '#207346',
+        urlPrefix: 'excelcs',
+        viewer: true,
+        preview: true,
+        extensions: ['xlsm', 'xlsx', 'xltm', 'xltx'],
+        mimeTypes: [
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ces-quicksheet',
+            'application/vnd.spreadsheet-openxml',
+            'application/vnd.ms-excel.sheet.macroEnabled.12',
+            'application/vnd.ms-excel.sheet.macroenabled.12',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.template',
+            'application/vnd.ms-excel.template.macroEnabled.12',
+            'application/vnd.ms-excel.template.macroenabled.12'
+        ]
+    },
+    {
+        kind: 'csv',
+        app: 'Excel',
+        handler: 'ms-excel',
+        color: '#207346',
+        urlPrefix: 'excelcs',
+        viewer: true,
+        preview: true,
+        extensions: ['csv'],
+        mimeTypes: ['text/csv']
+    },
+    // The binary formats before 2007, which only the online services read.
+    {
+        kind: 'word',
+        app: 'Word',
+        handler: 'ms-word',
+        color: '#2C579A',
+        urlPrefix: 'wordcs',
+        viewer: true,
+        preview: false,
+        extensions: ['doc', 'dot'],
+        mimeTypes: [
+            'application/msword',
+            'application/vnd.ms-word',
+            'application/vnd.msword',
+            'application/msword-template'
+        ]
+    },
+    {
+        kind: 'powerpoint',
+        app: 'PowerPoint',
+        handler: 'ms-powerpoint',
+        color: '#B8472A',
+        urlPrefix: 'pptcs',
+        viewer: true,
+        preview: false,
+        extensions: ['pot', 'pps', 'ppt'],
+        mimeTypes: ['application/mspowerpoint', 'application/vnd.ms-powerpoint']
+    },
+    {
+        kind: 'excel',
+        app: 'Excel',
+        handler: 'ms-excel',
+        color: '#207346',
+        urlPrefix: 'excelcs',
+        viewer: true,
+        preview: false,
+        extensions: ['xls', 'xlsb', 'xlt'],
+        mimeTypes: [
+            'application/msexcel',
+            'application/vnd.ms-excel',
+            'application/vnd.ms-excel.sheet.binary.macroEnabled.12',
+            'application/vnd.ms-excel.sheet.binary.macroenabled.12'
+        ]
+    },
+    {
+        kind: 'word',
+        app: 'Word',
+        handler: 'ms-word',
+        color: '#2C579A',
+        urlPrefix: 'wordcs',
+        viewer: true,
+        preview: false,
+        extensions: ['odt'],
+        mimeTypes: ['application/vnd.oasis.opendocument.text']
+    },
+    {
+        kind: 'powerpoint',
+        app: 'PowerPoint',
+        handler: 'ms-powerpoint',
+        color: '#B8472A',
+        urlPrefix: 'pptcs',
+        viewer: true,
+        preview: false,
+        extensions: ['odp'],
+        mimeTypes: ['application/vnd.oasis.opendocument.presentation']
+    },
+    {
+        kind: 'excel',
+        app: 'Excel',
+        handler: 'ms-excel',
+        color: '#207346',
+        urlPrefix: 'excelcs',
+        viewer: true,
+        preview: false,
+        extensions: ['ods'],
+        mimeTypes: ['application/vnd.oasis.opendocument.spreadsheet']
+    },
+    {
+        kind: 'word',
+        app: 'Word',
+        handler: 'ms-word',
+        color: '#2C579A',
+        urlPrefix: 'wordcs',
+        viewer: false,
+        preview: false,
+        extensions: ['rtf'],
+        mimeTypes: ['application/rtf', 'text/rtf']
+    },
+    {
+        kind: 'visio',
+        app: 'Visio',
+        handler: 'ms-visio',
+        color: '#3955A3',
+        urlPrefix: '',
+        viewer: false,
+        preview: false,
+        extensions: ['vsd', 'vsdm', 'vsdx'],
+        mimeTypes: [
+            'application/vnd.visio',
+            'application/vnd.ms-visio.drawing',
+            'application/vnd.ms-visio.drawing.macroEnabled.12',
+            'application/vnd.ms-visio.drawing.macroenabled.12'
+        ]
+    }
+];
+
+/**
+ * @param {string} mimeType
+ * @return {?Object} The FILE_TYPES entry for the MIME type, if any.
+ */
+function GetFileTypeForMimeType(mimeType) {
+    mimeType = (mimeType || '').toLowerCase();
+    return (
+        FILE_TYPES.find((type) =>
+            type.mimeTypes.some((candidate) => candidate.toLowerCase() === mimeType)
+        ) || null
+    );
+}
+
+/**
+ * Fallback for documents whose MIME type is generic, such as downloads served
+ * as application/octet-stream.
+ * @param {string} extension File extension without the dot.
+ * @return {?Object} The FILE_TYPES entry for the extension, if any.
+ */
+function GetFileTypeForExtension(extension) {
+    extension = (extension || '').toLowerCase();
+    return (
+        FILE_TYPES.find((type) => type.extensions.indexOf(extension) !== -1) ||
+        null
+    );
+}
+
+/**
+ * @param {string} mimeType
+ * @param {string} extension File extension without the dot.
+ * @return {?Object} The FILE_TYPES entry for a document. Servers often send
+ *     the app's main MIME type for all of its formats, e.g. Excel's for CSV
+ *     files, so the extension wins when both belong to the same app.
+ */
+function GetFileType(mimeType, extension) {
+    const byMimeType = GetFileTypeForMimeType(mimeType);
+    const byExtension = GetFileTypeForExtension(extension);
+    if (byMimeType && byExtension && byMimeType.handler === byExtension.handler) {
+        return byExtension;
+    }
+    return byMimeType || byExtension;
+}
+
+/**
+ * @param {!Object} fileType A FILE_TYPES entry.
+ * @param {string} action A RouteAction.
+ * @return {boolean} Whether documents of the type can be handled that way.
+ */
+function FileTypeSupportsAction(fileType, action) {
+    switch (action) {
+        case 'viewer':
+        case 'pdf':
+            return fileType.viewer;
+        case 'local':
+            return fileType.preview;
+    }
+    return true;
+}
+
+function GetDocumentTypeHadler(mimeType) {
+    const fileType = GetFileTypeForMimeType(mimeType);
+    return fileType ? fileType.handler : undefined;
+}
+
+/**
+ * @param {string} extension File extension without the dot.
+ * @return {string|undefined} The desktop protocol handler for the extension.
+ */
+function GetDocumentTypeForExtension(extension) {
+    const fileType = GetFileTypeForExtension(extension);
+    return fileType ? fileType.handler : undefined;
+}
+
+/**
+ * Groups a document into the kinds that settings are kept for.
+ * @param {string} mimeType
+ * @param {string} extension File extension without the dot.
+ * @return {string|undefined} 'word', 'excel', 'powerpoint', 'csv' or 'visio'.
+ */
+function GetDocumentKind(mimeType, extension) {
+    const fileType = GetFileType(mimeType, extension);
+    return fileType ? fileType.kind : undefined;
+}
+
+function GetURLPrefixForMimeType(type) {
+    const fileType = GetFileTypeForMimeType(type);
+    return fileType ? fileType.urlPrefix : undefined;
+}
+
+function GetUrlExtension(url) {
+    return url.split(/[#?]/)[0].split('.').pop().trim();
+}
+
+/**
+ * @param {string} documentType Protocol handler such as 'ms-word'.
+ * @param {string} url Document URL.
+ * @return {string} URL that opens the document for editing in the desktop app.
+ */
+function GetDesktopEditUrl(documentType, url) {
+    return documentType + ':ofe|u|' + url;
+}
@@ -0,0 +1,152 @@
+const DOCUMENT_HISTORY_KEY = 'documentHistory';
+
+// Changes are written by the background page only, one after the other, so
+// that viewer tabs and the popup changing the history at once don't undo each
+// other's changes. Other pages send theirs there.
+let documentHistoryWrite_ = Promise.resolve();
+
+// Recently opened documents, newest first, kept in chrome.storage.local.
+// Entries are {url, title, kind, mimeType, extension, site, openedAt, route,
+// driveItem, pinned}: |route| is the RouteAction taken, or 'upload' when the
+// document was uploaded to OneDrive, and |driveItem| is {id, webUrl} for
+// uploaded documents. Pinned entries are kept however long the history is.
+class DocumentHistory {
+    /**
+     * @return {!Promise<!Array<!Object>>}
+     */
+    getAll() {
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(DOCUMENT_HISTORY_KEY, function (items) {
+                resolve(items[DOCUMENT_HISTORY_KEY] || []);
+            });
+        });
+    }
+
+    /**
+     * Moves a document to the top of the history, keeping whether it was
+     * pinned and any drive item it was uploaded as before.
+     * @param {!Object} entry See above; |pinned| and |driveItem| are optional.
+     * @param {number} maxEntries How many unpinned entries to keep.
+     * @return {!Promise}
+     */
+    record(entry, maxEntries) {
+        return this.change_({
+            type: 'record',
+            entry: entry,
+            maxEntries: maxEntries
+        });
+    }
+
+    /**
+     * @param {string} url
+     * @param {boolean} pinned
+     * @return {!Promise}
+     */
+    setPinned(url, pinned) {
+        return this.change_({ type: 'setPinned', url: url, pinned: pinned });
+    }
+
+    /**
+     * @param {string} url
+     * @return {!Promise}
+     */
+    remove(url) {
+        return this.change_({ type: 'remove', url: url });
+    }
+
+    /**
+     * Stores a change made by record(), setPinned() or remove(). Only called
+     * in the background page.
+     * @param {!Object} change
+     * @return {!Promise}
+     */
+    applyChange(change) {
+        documentHistoryWrite_ = documentHistoryWrite_
+            .then(() => this.getAll())
+            .then((entries) =>
+                this.save_(this.changeEntries_(entries, change))
+            );
+        return documentHistoryWrite_;
+    }
+
+    /**
+     * @param {!Object} change
+     * @return {!Promise}
+     * @private
+     */
+    change_(change) {
+        if (chrome.extension.getBackgroundPage() === window) {
+            return this.applyChange(change);
+        }
+        return new Promise(function (resolve) {
+            chrome.runtime.sendMessage(
+                { type: 'changeDocumentHistory', change: change },
+                function () {
+                    resolve();
+                }
+            );
+        });
+    }
+
+    /**
+     * @param {!Array<!Object>} entries
+     * @param {!Object} change See change_().
+     * @return {!Array<!Object>} |entries| with |change| made.
+     * @private
+     */
+    changeEntries_(entries, change) {
+        switch (change.type) {
+            case 'record': {
+                const url = change.entry.url;
+                const previous = entries.find((e) => e.url === url);
+                const entry = Object.assign(
+                    {
+                        pinned: previous ? previous.pinned : false,
+                        driveItem: previous ? previous.driveItem : null
+                    },
+                    change.entry
+                );
+                const others = entries.filter((e) => e.url !== url);
+                let unpinned = 0;
+                return [entry]
+                    .concat(others)
+                    .filter((e) => e.pinned || ++unpinned <= change.maxEntries);
+            }
+            case 'setPinned':
+                for (const entry of entries) {
+                    if (entry.url === change.url) {
+                        entry.pinned = change.pinned;
+                    }
+                }
+                return entries;
+            case 'remove':
+                return entries.filter((e) => e.url !== change.url);
+            default:
+                return entries;
+        }
+    }
+
+    /**
+     * @param {!Array<!Object>} entries
+     * @return {!Promise}
+     * @private
+     */
+    save_(entries) {
+        return new Promise(function (resolve) {
+            chrome.storage.local.set({ [DOCUMENT_HISTORY_KEY]: entries }, resolve);
+        });
+    }
+}
+
+/**
+ * @param {!Object} settings See DEFAULT_SETTINGS.
+ * @return {boolean} Whether documents opened here may be recorded. Incognito
+ *     windows run their own copy of the extension, see "incognito": "split"
+ *     in manifest.json, and record nothing unless the user asked for it.
+ */
+function IsHistoryEnabled(settings) {
+    return (
+        settings.historySize > 0 &&
+        (!chrome.extension.inIncognitoContext || settings.incognitoHistory)
+    );
+}
@@ -0,0 +1,158 @@
+// How long after a viewer closes that a navigation back to its document still
+// counts as coming from the viewer.
+const REDIRECT_LOOP_TTL_MS = 10 * 1000;
+
+/**
+ * Remembers which documents the viewer is showing in which tabs, so that a
+ * navigation from the web viewer back to the document (for example its
+ * download link) isn't sent to the viewer again. Kept by the background page,
+ * which forgets a tab's document as soon as the tab navigates in any other way
+ * than through a link; the document URL itself is never marked.
+ */
+class RedirectLoopGuard {
+    /**
+     * @param {number} ttlMs See REDIRECT_LOOP_TTL_MS.
+     */
+    constructor(ttlMs) {
+        this.ttlMs_ = ttlMs;
+        // Key from GetKey_() -> {tabId, url, expires}. |expires| is Infinity
+        // while the viewer is open.
+        this.entries_ = new Map();
+        // Tabs the web viewer opened for the document it shows.
+        this.openedByViewer_ = new Set();
+    }
+
+    /**
+     * Records that the viewer in |tabId| is showing |url|.
+     * @param {number} tabId
+     * @param {string} url
+     */
+    markShown(tabId, url) {
+        this.entries_.set(RedirectLoopGuard.getKey_(tabId, url), {
+            tabId: tabId,
+            url: RedirectLoopGuard.normalizeUrl_(url),
+            expires: Infinity
+        });
+    }
+
+    /**
+     * Records that the viewer showing |url| in |tabId| has gone away.
+     * @param {number} tabId
+     * @param {string} url
+     */
+    markClosed(tabId, url) {
+        const entry = this.entries_.get(RedirectLoopGuard.getKey_(tabId, url));
+        if (entry) {
+            entry.expires = Date.now() + this.ttlMs_;
+        }
+    }
+
+    /**
+     * Records that the viewer in |sourceTabId| opened |url| in a new tab.
+     * Loading it there counts as coming from the viewer too.
+     * @param {number} sourceTabId
+     * @param {number} tabId
+     * @param {string} url
+     */
+    markOpenedFrom(sourceTabId, tabId, url) {
+        this.prune_();
+        const entry = this.entries_.get(
+            RedirectLoopGuard.getKey_(sourceTabId, url)
+        );
+        if (entry) {
+            this.entries_.set(
+                RedirectLoopGuard.getKey_(tabId, url),
+                Object.assign({}, entry, { tabId: tabId })
+            );
+            this.openedByViewer_.add(tabId);
+        }
+    }
+
+    /**
+     * @param {number} tabId
+     * @return {boolean} Whether the viewer opened |tabId|, rather than the
+     *     user.
+     */
+    isOpenedByViewer(tabId) {
+        return this.openedByViewer_.has(tabId);
+    }
+
+    /**
+     * Checks whether loading |url| in |tabId| comes from the viewer that just
+     * showed it there. A navigation is only taken as a loop once.
+     * @param {number} tabId
+     * @param {string} url
+     * @return {boolean}
+     */
+    consume(tabId, url) {
+        this.prune_();
+        return this.entries_.delete(RedirectLoopGuard.getKey_(tabId, url));
+    }
+
+    /**
+     * @param {string} url
+     * @return {boolean} Whether a viewer in any tab is showing, or just
+     *     showed, |url|. Downloads aren't tied to a tab.
+     */
+    isShownAnywhere(url) {
+        this.prune_();
+        url = RedirectLoopGuard.normalizeUrl_(url);
+        for (const entry of this.entries_.values()) {
+            if (entry.url === url) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Forgets that |tabId| showed |url|, when the user asks for it again.
+     * @param {number} tabId
+     * @param {string} url
+     */
+    forget(tabId, url) {
+        this.entries_.delete(RedirectLoopGuard.getKey_(tabId, url));
+    }
+
+    /**
+     * @param {number} tabId
+     */
+    forgetTab(tabId) {
+        this.openedByViewer_.delete(tabId);
+        for (const [key, entry] of this.entries_) {
+            if (entry.tabId === tabId) {
+                this.entries_.delete(key);
+            }
+        }
+    }
+
+    /** @private */
+    prune_() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries_) {
+            if (entry.expires <= now) {
+                this.entries_.delete(key);
+            }
+        }
+    }
+
+    /**
+     * @param {number} tabId
+     * @param {string} url
+     * @return {string}
+     * @private
+     */
+    static getKey_(tabId, url) {
+        return tabId + '\n' + RedirectLoopGuard.normalizeUrl_(url);
+    }
+
+    /**
+     * @param {string} url
+     * @return {string} |url| without its fragment, which doesn't change the
+     *     document.
+     * @private
+     */
+    static normalizeUrl_(url) {
+        return url.split('#')[0];
+    }
+}
@@ -245,7 +245,56 @@ function createBrowserApi() {
 ========================= END browser_api.js ==============================
 */
 
-browser_api = createBrowserApiForMimeHandlerView();
+/**
+ * Stands in for Chromium's assert.js, which BrowserApi relies on.
+ * @param {*} condition
+ * @param {string=} message
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error('Assertion failed' + (message ? ': ' + message : ''));
+    }
+}
+
+/**
+ * Creates a BrowserApi for the viewer opened directly as
+ * app.html?src=<url>&type=<mime type>&action=<route>, which the background
+ * page does for documents that reach the browser as downloads.
+ * @return {!Promise<!BrowserApi>}
+ */
+function createBrowserApiForViewerUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const streamInfo = {
+        streamUrl: params.get('src'),
+        originalUrl: params.get('src'),
+        mimeType: params.get('type') || '',
+        routeAction: params.get('action'),
+        fileName: params.get('name') || '',
+        // Set to compare the document with another version, see
+        // OpenCompareView().
+        compareUrl: params.get('compare'),
+        responseHeaders: {},
+        embedded: false,
+        tabId: -1
+    };
+    return new Promise(function (resolve) {
+        chrome.tabs.getCurrent(function (tab) {
+            streamInfo.tabId = tab.id;
+            streamInfo.tabUrl = tab.url;
+            chrome.tabs.setZoomSettings(
+                tab.id,
+                { mode: 'manual', scope: 'per-tab' },
+                resolve
+            );
+        });
+    }).then(function () {
+        return BrowserApi.create(streamInfo, BrowserApi.ZoomBehavior.MANAGE);
+    });
+}
+
+browser_api = window.location.search
+    ? createBrowserApiForViewerUrl()
+    : createBrowserApiForMimeHandlerView();
 
 /**
  * Convert an Uint8Array into a string.
@@ -256,283 +305,1340 @@ function Decodeuint8arr(uint8array) {
     return new TextDecoder('utf-8').decode(uint8array);
 }
 
-function GetDocumentTypeHadler(mimeType) {
-    switch (mimeType) {
-        case 'application/msword':
-        case 'application/vnd.ms-word':
-        case 'application/vnd.msword':
-        case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-        case 'application/vnd.wordprocessing-openxml':
-        case 'application/vnd.ces-quickword':
-        case 'application/vnd.ms-word.document.macroEnabled.12':
-        case 'application/vnd.ms-word.document.macroenabled.12':
-        case 'application/vnd.ms-word.document.12':
-            return 'ms-word';
-        case 'application/mspowerpoint':
-        case 'application/vnd.ms-powerpoint':
-        case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
-        case 'application/vnd.ces-quickpoint':
-        case 'application/vnd.presentation-openxml':
-        case 'application/vnd.presentation-openxmlm':
-        case 'application/vnd.ms-powerpoint.presentation.macroEnabled.12':
-        case 'application/vnd.ms-powerpoint.presentation.macroenabled.12':
-            return 'ms-powerpoint';
-        case 'application/msexcel':
-        case 'application/vnd.ms-excel':
-        case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
-        case 'application/vnd.ces-quicksheet':
-        case 'application/vnd.spreadsheet-openxml':
-        case 'application/vnd.ms-excel.sheet.macroEnabled.12':
-        case 'application/vnd.ms-excel.sheet.macroenabled.12':
-        case 'text/csv':
-            return 'ms-excel';
-    }
-}
-
-function GetURLPrefixForMimeType(type) {
-    switch (GetDocumentTypeHadler(type)) {
-        case 'ms-word':
-            return 'wordcs';
-        case 'ms-powerpoint':
-            return 'pptcs';
-        case 'ms-excel':
-            return 'excelcs';
-    }
-}
-
-function GetUrlExtension(url) {
-    return url.split(/[#?]/)[0].split('.').pop().trim();
-}
-
-async function OnGetStreamData(stream, streamInfo) {
-    var link =
-        'https://graph.microsoft.com/v1.0/me/drive/root:/localFiles/test.' +
-        GetUrlExtension(streamInfo.originalUrl) +
-        ':/content?@name.conflictBehavior=replace';
-    var xhr = new XMLHttpRequest();
-    xhr.open('PUT', link, true);
-    xhr.setRequestHeader('Content-type', 'application/octet-stream');
-    // TODO: Instead of harcoding aut token, get actual one
-    xhr.setRequestHeader(
-        'Authorization',
-        'Bearer ' + 'eyJ0eXAiOiJKV1QiLCJub25jZSI6IndISzltenVNVEFYNm9qa2xXNzhFY1lCNzdtcTV1SHl6Q1VXbC1hVUtaWkkiLCJhbGciOiJSUzI1NiIsIng1dCI6Im5PbzNaRHJPRFhFSzFqS1doWHNsSFJfS1hFZyIsImtpZCI6Im5PbzNaRHJPRFhFSzFqS1doWHNsSFJfS1hFZyJ9.eyJhdWQiOiIwMDAwMDAwMy0wMDAwLTAwMDAtYzAwMC0wMDAwMDAwMDAwMDAiLCJpc3MiOiJodHRwczovL3N0cy53aW5kb3dzLm5ldC83MmY5ODhiZi04NmYxLTQxYWYtOTFhYi0yZDdjZDAxMWRiNDcvIiwiaWF0IjoxNjE2NjEyMDQxLCJuYmYiOjE2MTY2MTIwNDEsImV4cCI6MTYxNjYxNTk0MSwiYWNjdCI6MCwiYWNyIjoiMSIsImFjcnMiOlsidXJuOnVzZXI6cmVnaXN0ZXJzZWN1cml0eWluZm8iLCJ1cm46bWljcm9zb2Z0OnJlcTIiLCJ1cm46bWljcm9zb2Z0OnJlcTMiLCJjMSIsImMyIiwiYzMiLCJjNCIsImM1IiwiYzYiLCJjNyIsImM4IiwiYzkiLCJjMTAiLCJjMTEiLCJjMTIiLCJjMTMiLCJjMTQiLCJjMTUiLCJjMTYiLCJjMTciLCJjMTgiLCJjMTkiLCJjMjAiLCJjMjEiLCJjMjIiLCJjMjMiLCJjMjQiLCJjMjUiXSwiYWlvIjoiQVZRQXEvOFRBQUFBT2lqeTI1N01haDJzMDBlK0tGRXhDVlhvWGQ3N1FJUzBHaVdORkN0cm1oL0U2dXVvZlgwQkxHdk5Xd2R2UUZkNEdaK2x5b3dLZW5RdTFiNWJEY3VOdTJweWpoVHdJa0JRZi9HY3ZhbmZSUTg9IiwiYW1yIjpbInB3ZCIsInJzYSIsIm1mYSJdLCJhcHBfZGlzcGxheW5hbWUiOiJHcmFwaCBleHBsb3JlciAob2ZmaWNpYWwgc2l0ZSkiLCJhcHBpZCI6ImRlOGJjOGI1LWQ5ZjktNDhiMS1hOGFkLWI3NDhkYTcyNTA2NCIsImFwcGlkYWNyIjoiMCIsImNvbnRyb2xzIjpbImFwcF9yZXMiXSwiY29udHJvbHNfYXVkcyI6WyJkZThiYzhiNS1kOWY5LTQ4YjEtYThhZC1iNzQ4ZGE3MjUwNjQiLCIwMDAwMDAwMy0wMDAwLTAwMDAtYzAwMC0wMDAwMDAwMDAwMDAiLCIwMDAwMDAwMy0wMDAwLTBmZjEtY2UwMC0wMDAwMDAwMDAwMDAiXSwiZGV2aWNlaWQiOiIwMTYwODNlYi03OGYwLTQ1YTYtOTdmOC04YmM1OTkwZDgzMGYiLCJmYW1pbHlfbmFtZSI6IkNoYW5kYW4iLCJnaXZlbl9uYW1lIjoiUHJhdGVlayIsImlkdHlwIjoidXNlciIsImlwYWRkciI6IjIwMi4xNjguODUuMTgzIiwibmFtZSI6IlByYXRlZWsgQ2hhbmRhbiIsIm9pZCI6ImI5NDIzMzYwLWNhZDEtNDA4Zi1hZmQyLTZhZjNhMTUzYTRiYSIsIm9ucHJlbV9zaWQiOiJTLTEtNS0yMS0yMTQ2NzczMDg1LTkwMzM2MzI4NS03MTkzNDQ3MDctMjExMzExMyIsInBsYXRmIjoiMyIsInB1aWQiOiIxMDAzQkZGRDk4ODk1NkU4IiwicmgiOiIwLkFSb0F2NGo1Y3ZHR3IwR1JxeTE4MEJIYlI3WElpOTc1MmJGSXFLMjNTTnB5VUdRYUFQdy4iLCJzY3AiOiJDYWxlbmRhcnMuUmVhZFdyaXRlIENvbnRhY3RzLlJlYWRXcml0ZSBEZXZpY2VNYW5hZ2VtZW50QXBwcy5SZWFkV3JpdGUuQWxsIERldmljZU1hbmFnZW1lbnRDb25maWd1cmF0aW9uLlJlYWQuQWxsIERldmljZU1hbmFnZW1lbnRDb25maWd1cmF0aW9uLlJlYWRXcml0ZS5BbGwgRGV2aWNlTWFuYWdlbWVudE1hbmFnZWREZXZpY2VzLlByaXZpbGVnZWRPcGVyYXRpb25zLkFsbCBEZXZpY2VNYW5hZ2VtZW50TWFuYWdlZERldmljZXMuUmVhZC5BbGwgRGV2aWNlTWFuYWdlbWVudE1hbmFnZWREZXZpY2VzLlJlYWRXcml0ZS5BbGwgRGV2aWNlTWFuYWdlbWVudFJCQUMuUmVhZC5BbGwgRGV2aWNlTWFuYWdlbWVudFJCQUMuUmVhZFdyaXRlLkFsbCBEZXZpY2VNYW5hZ2VtZW50U2VydmljZUNvbmZpZy5SZWFkLkFsbCBEZXZpY2VNYW5hZ2VtZW50U2VydmljZUNvbmZpZy5SZWFkV3JpdGUuQWxsIERpcmVjdG9yeS5BY2Nlc3NBc1VzZXIuQWxsIERpcmVjdG9yeS5SZWFkV3JpdGUuQWxsIEZpbGVzLlJlYWRXcml0ZS5BbGwgR3JvdXAuUmVhZFdyaXRlLkFsbCBJZGVudGl0eVJpc2tFdmVudC5SZWFkLkFsbCBNYWlsLlJlYWRXcml0ZSBNYWlsYm94U2V0dGluZ3MuUmVhZFdyaXRlIE5vdGVzLlJlYWRXcml0ZS5BbGwgb3BlbmlkIFBlb3BsZS5SZWFkIFByZXNlbmNlLlJlYWQgUHJlc2VuY2UuUmVhZC5BbGwgcHJvZmlsZSBSZXBvcnRzLlJlYWQuQWxsIFNpdGVzLlJlYWRXcml0ZS5BbGwgVGFza3MuUmVhZFdyaXRlIFVzZXIuUmVhZCBVc2VyLlJlYWRCYXNpYy5BbGwgVXNlci5SZWFkV3JpdGUgVXNlci5SZWFkV3JpdGUuQWxsIGVtYWlsIiwic2lnbmluX3N0YXRlIjpbImR2Y19tbmdkIiwiZHZjX2NtcCIsImttc2kiXSwic3ViIjoidng5MUZnM1RHZV9JVHN0OUE4TkpabDBpSElHS1RZV3VyNHdpeV9SVFlHWSIsInRlbmFudF9yZWdpb25fc2NvcGUiOiJXVyIsInRpZCI6IjcyZjk4OGJmLTg2ZjEtNDFhZi05MWFiLTJkN2NkMDExZGI0NyIsInVuaXF1ZV9uYW1lIjoicHJjaGFuQG1pY3Jvc29mdC5jb20iLCJ1cG4iOiJwcmNoYW5AbWljcm9zb2Z0LmNvbSIsInV0aSI6ImpfWkVVUzNtUkVPUkZyX2pJNG5rQUEiLCJ2ZXIiOiIxLjAiLCJ3aWRzIjpbImI3OWZiZjRkLTNlZjktNDY4OS04MTQzLTc2YjE5NGU4NTUwOSJdLCJ4bXNfc3QiOnsic3ViIjoiXzYzdUE3RjNWdHVOSFgyeGZ2VEZwTnNjNENCcVpVYnQxS1V2dFN5UkhUbyJ9LCJ4bXNfdGNkdCI6MTI4OTI0MTU0N30.Nf_MnDDGuC646_QJoIU9dpAwc_OjUSGq-89_AkROfFzmRWJFNcL6fZZe5TIzA4mZnbvSKFwdVrdfVqawNLyRoKH27jg91dSc7iqyNdQ47T9k1JHbJ9ruI0EfBqGbX5kA-PrVPKFeTGHUr18Gw1klJENjiLB0l4wopttTS0OcdoCDIzltjcJcMXJoXk2IjBBG5RvPPxF8aUZ5tSS3Zcfa9rf__v5g9EMaQM6G9oZ9R18I9-3N0gvFSGAjyQwLjOF677P0_qVRWsZs9E00F9l2U8fD9Y6FBF1bIH1Msj-FC93vq03gXkrwpEjf3xAvFGE9v99Pwgnp_ojDYOx0oRAo_Q'
+// Promise of the document's bytes, kept once fetched so that saving doesn't
+// have to download the document again.
+let documentBytes_ = null;
+
+/**
+ * @param {!Response} response
+ * @return {!Promise<!Uint8Array>} The body of a successful response.
+ */
+function ReadResponseBytes(response) {
+    if (!response.ok) {
+        throw new ViewerError(
+            ErrorCode.FETCH_FAILED,
+            'Could not fetch the document: ' + response.status,
+            {
+                status: response.status,
+                retriable: response.status === 429 || response.status >= 500
+            }
+        );
+    }
+    return ReadWholeStream(response.body.getReader());
+}
+
+/**
+ * Returns the document's bytes, reading them from the stream the browser
+ * handed to the viewer or, if that has already been used up, downloading the
+ * document again with the user's cookies.
+ * @param {!Object} streamInfo
+ * @return {!Promise<!Uint8Array>}
+ */
+function GetDocumentBytes(streamInfo) {
+    if (!documentBytes_) {
+        documentBytes_ = fetch(streamInfo.streamUrl)
+            .then(ReadResponseBytes)
+            .catch(function () {
+                return fetch(streamInfo.originalUrl, {
+                    credentials: 'include'
+                }).then(ReadResponseBytes);
+            })
+            .catch(function (error) {
+                throw ViewerError.from(error, ErrorCode.FETCH_FAILED, true);
+            });
+        documentBytes_.catch(function () {
+            documentBytes_ = null;
+        });
+    }
+    return documentBytes_;
+}
+
+/**
+ * Shows how much of a document has been uploaded.
+ * @param {number} uploaded Bytes uploaded so far.
+ * @param {number} total Size of the document in bytes.
+ */
+function ShowUploadProgress(uploaded, total) {
+    const percent = total ? Math.floor((uploaded * 100) / total) : 100;
+    document.getElementById('upload-progress').hidden = false;
+    document.getElementById('upload-progress-bar').value = percent;
+    document.getElementById('upload-progress-label').textContent =
+        'Uploading to OneDrive... ' + percent + '%';
+}
+
+/**
+ * Uploads a document to OneDrive and opens it there.
+ * @param {!Uint8Array} bytes The document content.
+ * @param {!Object} streamInfo
+ * @param {string} notice Shown above the progress bar, to say why the
+ *     document is uploaded.
+ */
+async function OnGetStreamData(bytes, streamInfo, notice) {
+    document.getElementById('upload-progress-notice').textContent = notice;
+    const uploader = new DriveUploader(RequestAccessToken, {
+        onProgress: ShowUploadProgress
+    });
+    const start = performance.now();
+    let item;
+    try {
+        item = await UploadLocalDocument(
+            bytes,
+            streamInfo.originalUrl,
+            uploader,
+            streamInfo.tabId,
+            streamInfo.fileName
+        );
+        RecordCountMetric(
+            Metric.UPLOAD_SIZE_KB,
+            bytes.length / 1024,
+            METRIC_MAX_UPLOAD_KB
+        );
+        RecordTimeMetric(Metric.UPLOAD_DURATION, performance.now() - start);
+    } catch (error) {
+        document.getElementById('upload-progress').hidden = true;
+        const uploadError = ViewerError.from(
+            error,
+            ErrorCode.UPLOAD_FAILED,
+            true
+        );
+        if (!fileType_.preview) {
+            ShowError(uploadError, streamInfo, function () {
+                OnGetStreamData(bytes, streamInfo, notice);
+            });
+            return;
+        }
+        ReportError(uploadError, streamInfo);
+        ShowLocalPreview(
+            bytes,
+            'Upload failed: ' +
+                uploadError.message +
+                ' Showing an offline preview instead.'
+        ).catch(function (previewError) {
+            ShowError(previewError, streamInfo);
+        });
+        RecordDocument(streamInfo, 'local');
+        return;
+    }
+    // The tab is left right away, so the history has to be written first.
+    await RecordDocument(streamInfo, 'upload', item);
+    chrome.tabs.update({url: item.webUrl});
+}
+
+/**
+ * Renders the built-in read-only preview of a document.
+ * @param {!Uint8Array} bytes The document content.
+ * @param {string=} notice Shown above the preview, e.g. to say why it is
+ *     used.
+ * @return {!Promise} Rejects with a ViewerError if the document can't be
+ *     previewed.
+ */
+function ShowLocalPreview(bytes, notice) {
+    const content = document.getElementById('pdf-content');
+    return RenderOfficePreview(bytes, content).then(
+        function () {
+            if (notice) {
+                const message = document.createElement('div');
+                message.className = 'preview-notice';
+                message.textContent = notice;
+                content.insertBefore(message, content.firstChild);
+            }
+        },
+        function (error) {
+            throw new ViewerError(
+                ErrorCode.PREVIEW_FAILED,
+                'Could not preview the document: ' + error.message
+            );
+        }
+    );
+}
+
+/**
+ * Fetches the document and shows the built-in preview of it, without
+ * sending it to any online service.
+ * @param {!Object} streamInfo
+ * @param {string=} notice See ShowLocalPreview().
+ */
+function OpenInLocalPreview(streamInfo, notice) {
+    GetDocumentBytes(streamInfo)
+        .then(function (bytes) {
+            return ShowLocalPreview(bytes, notice);
+        })
+        .catch(function (error) {
+            ShowError(error, streamInfo, function () {
+                OpenInLocalPreview(streamInfo, notice);
+            });
+        });
+}
+
+/**
+ * Shows a CSV file in the built-in table viewer.
+ * @param {!Object} streamInfo
+ */
+function OpenInCsvViewer(streamInfo) {
+    const viewer = new CsvViewer(
+        document.getElementById('pdf-content'),
+        streamInfo.fileName
     );
-    xhr.onload = function (e) {
-        console.log(this.response);
-        console.log(this.status);
-        if (this.status <= 201) {
-            const data = JSON.parse(this.response);
-            chrome.tabs.update({url: data.webUrl});
+    const onError = function (error) {
+        ShowError(
+            ViewerError.from(error, ErrorCode.PREVIEW_FAILED, false),
+            streamInfo
+        );
+    };
+    if (documentBytes_) {
+        documentBytes_
+            .then(function (bytes) {
+                return viewer.load(new Blob([bytes]).stream().getReader());
+            })
+            .catch(onError);
+        return;
+    }
+    fetch(streamInfo.streamUrl)
+        .then(function (response) {
+            // Keep a copy of the bytes for saving while the viewer parses
+            // them.
+            const [viewerStream, copyStream] = response.body.tee();
+            documentBytes_ = ReadWholeStream(copyStream.getReader());
+            return viewer.load(viewerStream.getReader());
+        })
+        .catch(onError);
+}
+
+function GetPdfStreamForLocal(streamInfo) {
+    GetDocumentBytes(streamInfo).then(
+        function (bytes) {
+            OnGetStreamData(
+                bytes,
+                streamInfo,
+                'Local files are uploaded to your OneDrive to be viewed.'
+            );
+        },
+        function (error) {
+            ShowError(error, streamInfo, function () {
+                GetPdfStreamForLocal(streamInfo);
+            });
+        }
+    );
+}
+
+/**
+ * Shows a web document that the online services can't fetch themselves: it
+ * is downloaded with the user's session and uploaded to OneDrive like a
+ * local file, or previewed offline if uploads are turned off.
+ * @param {!Object} streamInfo
+ * @param {!Object} settings
+ * @param {string} reason Why the document isn't public, see
+ *     CheckDocumentReachability().
+ */
+function OpenPrivateDocument(streamInfo, settings, reason) {
+    const why = "The web viewer can't open this document because " + reason;
+    if (!settings.allowLocalUpload) {
+        if (fileType_.preview) {
+            OpenInLocalPreview(
+                streamInfo,
+                why + ', and uploading is turned off. Showing an offline ' +
+                    'preview instead.'
+            );
+            RecordDocument(streamInfo, 'local');
         } else {
-          alert(this.response);
+            ShowUnsupportedType(streamInfo);
         }
+        return;
+    }
+    GetDocumentBytes(streamInfo).then(
+        function (bytes) {
+            OnGetStreamData(
+                bytes,
+                streamInfo,
+                why + ', so it is uploaded to your OneDrive to be viewed.'
+            );
+        },
+        function (error) {
+            ShowError(error, streamInfo, function () {
+                OpenPrivateDocument(streamInfo, settings, reason);
+            });
+        }
+    );
+}
+
+// Title of the error panel for each ErrorCode.
+const ERROR_TITLES = {
+    [ErrorCode.FETCH_FAILED]: 'The document could not be downloaded.',
+    [ErrorCode.UPLOAD_FAILED]: 'The document could not be uploaded to OneDrive.',
+    [ErrorCode.CONVERSION_FAILED]: 'The document could not be converted to PDF.',
+    [ErrorCode.VIEWER_LOAD_FAILED]: 'The Office web viewer did not load.',
+    [ErrorCode.PREVIEW_FAILED]: 'The document could not be previewed.',
+    [ErrorCode.SAVE_FAILED]: 'The document could not be saved.',
+    [ErrorCode.SIGN_IN_NOT_CONFIGURED]: 'Sign-in to OneDrive is not set up.'
+};
+
+/**
+ * Adds a failure to the diagnostics log.
+ * @param {!ViewerError} error
+ * @param {!Object} streamInfo
+ * @return {!Promise}
+ */
+function ReportError(error, streamInfo) {
+    return Promise.all([
+        new DiagnosticsLog().add(error, streamInfo.originalUrl),
+        RecordErrorMetrics(error)
+    ]);
+}
+
+/**
+ * Shows the error panel in place of the document, and logs the failure.
+ * @param {!ViewerError} error
+ * @param {!Object} streamInfo
+ * @param {function()=} retry Called when the user clicks Retry, which is
+ *     only offered for retriable errors.
+ */
+function ShowError(error, streamInfo, retry) {
+    ReportError(error, streamInfo);
+    document.getElementById('pdf-content').textContent = '';
+    document.getElementById('error-title').textContent =
+        ERROR_TITLES[error.code];
+    document.getElementById('error-message').textContent = error.message;
+    document.getElementById('error-details').textContent =
+        'Error code: ' +
+        error.code +
+        '. ' +
+        (error.status ? 'Response code: ' + error.status + '. ' : '') +
+        'Correlation ID: ' +
+        error.correlationId;
+    const retryButton = document.getElementById('error-retry-btn');
+    retryButton.hidden = !(error.retriable && retry);
+    retryButton.onclick = function () {
+        HideError();
+        retry();
     };
-    xhr.send(stream);
+    document.getElementById('error-copy-btn').onclick = CopyDiagnostics;
+    document.getElementById('pdf-content-message').hidden = false;
 }
 
-function GetPdfStreamForLocal(streamResponse, streamInfo) {
-    streamResponse.read().then(function (val) {
-        OnGetStreamData(val.value, streamInfo);
-    });
+function HideError() {
+    document.getElementById('pdf-content-message').hidden = true;
+}
+
+/**
+ * Copies the diagnostics log to the clipboard, for a support ticket.
+ */
+function CopyDiagnostics() {
+    new DiagnosticsLog()
+        .getAll()
+        .then(function (entries) {
+            return navigator.clipboard.writeText(FormatDiagnostics(entries));
+        })
+        .then(
+            function () {
+                ShowToolbarStatus('Diagnostics copied.', false);
+            },
+            function (error) {
+                ShowToolbarStatus(
+                    'Could not copy diagnostics: ' + error.message,
+                    true
+                );
+            }
+        );
 }
 
-function ConvertOnlineDocToPDFAndOpen(streamInfo) {
-    $(function () {
-        var link =
-            'https://' +
-            GetURLPrefixForMimeType(streamInfo.mimeType) +
-            '.edog.officeapps.live.com/document/export/pdf?url=' +
-            streamInfo.originalUrl +
-            '&input=' +
-            GetUrlExtension(streamInfo.originalUrl);
-
-        var xhr = new XMLHttpRequest();
-        xhr.open('GET', link, true);
-        xhr.responseType = 'blob';
-        xhr.setRequestHeader(
-            'X-ClientCorrelationId',
-            '41b9f6c7-ea85-4859-9a97-be4628897113'
+function ConvertOnlineDocToPDFAndOpen(streamInfo, settings) {
+    HideError();
+    document.getElementById('pdf-content').textContent = 'Converting to PDF...';
+    ConvertDocumentToPdf(streamInfo, settings.conversionEndpoint).then(
+        function (pdf) {
+            const iframe = document.createElement('iframe');
+            iframe.src = URL.createObjectURL(pdf);
+            iframe.width = '100%';
+            iframe.height = '100%';
+            const content = document.getElementById('pdf-content');
+            content.textContent = '';
+            content.appendChild(iframe);
+        },
+        function (error) {
+            ShowError(
+                ViewerError.from(error, ErrorCode.CONVERSION_FAILED, true),
+                streamInfo,
+                function () {
+                    ConvertOnlineDocToPDFAndOpen(streamInfo, settings);
+                }
+            );
+        }
+    );
+}
+
+/**
+ * Lets the user switch between the web viewer and the PDF of a document.
+ * @param {!Object} streamInfo
+ * @param {!Object} settings
+ * @param {string} mode The mode shown first, 'viewer' or 'pdf'.
+ */
+function SetupViewModeToggle(streamInfo, settings, mode) {
+    const button = document.getElementById('pdf-btn');
+    const label = document.getElementById('pdf-btn-label');
+    const update = function () {
+        label.textContent = mode === 'pdf' ? 'View original' : 'View as PDF';
+    };
+    button.hidden = false;
+    button.onclick = function (event) {
+        event.preventDefault();
+        mode = mode === 'pdf' ? 'viewer' : 'pdf';
+        if (mode === 'pdf') {
+            ConvertOnlineDocToPDFAndOpen(streamInfo, settings);
+        } else {
+            HideError();
+            OpenInWebViewer(streamInfo, settings);
+        }
+        update();
+    };
+    update();
+}
+
+/**
+ * @return {!Array<!Element>} The left and right panes of the compare view.
+ */
+function GetComparePanes() {
+    return [
+        document.getElementById('compare-left'),
+        document.getElementById('compare-right')
+    ];
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function ShowCompareStatus(message, isError) {
+    const status = document.getElementById('compare-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * @param {string} url
+ * @return {!Promise<!Uint8Array>} The document at |url|, fetched with the
+ *     user's cookies.
+ */
+function FetchCompareDocument(url) {
+    return fetch(url, { credentials: 'include' })
+        .then(ReadResponseBytes)
+        .catch(function (error) {
+            throw ViewerError.from(error, ErrorCode.FETCH_FAILED, true);
+        });
+}
+
+/**
+ * Compares the document with another version and shows the two side by
+ * side. Nothing is sent to any online service.
+ * @param {!Object} streamInfo
+ * @param {!Promise<!Uint8Array>} otherBytes The other version.
+ * @param {string} otherName File name of the other version.
+ */
+async function ShowComparison(streamInfo, otherBytes, otherName) {
+    document.getElementById('compare-right-title').textContent = otherName;
+    ShowCompareStatus('Comparing...', false);
+    try {
+        const [bytes, other] = await Promise.all([
+            GetDocumentBytes(streamInfo),
+            otherBytes
+        ]);
+        ShowCompareStatus(
+            await RenderComparison(
+                bytes,
+                other,
+                GetComparePanes(),
+                document.getElementById('compare-tabs')
+            ),
+            false
+        );
+    } catch (error) {
+        const viewerError = ViewerError.from(
+            error,
+            ErrorCode.PREVIEW_FAILED,
+            false
+        );
+        ReportError(viewerError, streamInfo);
+        ShowCompareStatus(viewerError.message, true);
+    }
+}
+
+/**
+ * Asks for access to the site of |url|, which the extension needs to fetch
+ * documents from it. Must be called from a user gesture.
+ * @param {string} url
+ * @return {!Promise<boolean>} Whether access was granted.
+ */
+function RequestSiteAccess(url) {
+    return new Promise(function (resolve) {
+        chrome.permissions.request(
+            { origins: [new URL(url).origin + '/*'] },
+            resolve
         );
-        xhr.setRequestHeader('X-PassThroughDownloadHeaders', '');
-        xhr.setRequestHeader('X-ClientName', 'EdgeTeam');
-        //xhr.setRequestHeader("Ocp-Apim-Subscription-Key","34cd9e8623cc454a9333f497f882b3ad");
-
-        xhr.onload = function (e) {
-            if (this.status == 200) {
-                var url = window.URL.createObjectURL(
-                    new Blob([this.response], { type: 'application/pdf' })
+    });
+}
+
+/**
+ * Wires the compare view, in which the document is shown side by side with
+ * another version picked by link or as a local file.
+ * @param {!Object} streamInfo
+ */
+function SetupCompareView(streamInfo) {
+    const compareButton = document.getElementById('compare-btn');
+    compareButton.hidden = !(fileType_ && fileType_.preview);
+    compareButton.onclick = function (event) {
+        event.preventDefault();
+        OpenCompareView(streamInfo, '');
+    };
+
+    const urlInput = document.getElementById('compare-url');
+    document.getElementById('compare-url-btn').onclick = function () {
+        const url = urlInput.value.trim();
+        if (!IsWebURL(url)) {
+            ShowCompareStatus(
+                'Enter a link starting with http or https.',
+                true
+            );
+            return;
+        }
+        RequestSiteAccess(url).then(function (granted) {
+            if (!granted) {
+                ShowCompareStatus(
+                    'The document can only be compared with access to ' +
+                        GetUrlHostname(url) +
+                        '.',
+                    true
                 );
+                return;
+            }
+            ShowComparison(
+                streamInfo,
+                FetchCompareDocument(url),
+                GetFileNameFromUrl(url)
+            );
+        });
+    };
+    const fileInput = document.getElementById('compare-file');
+    document.getElementById('compare-file-btn').onclick = function () {
+        fileInput.click();
+    };
+    fileInput.onchange = function () {
+        const file = fileInput.files[0];
+        if (file) {
+            ShowComparison(
+                streamInfo,
+                file.arrayBuffer().then((buffer) => new Uint8Array(buffer)),
+                file.name
+            );
+        }
+        // Picking the same file again should compare it again.
+        fileInput.value = '';
+    };
+
+    document.getElementById('compare-close-btn').onclick = function () {
+        document.getElementById('compare').hidden = true;
+        document.getElementById('pdf-content').hidden = false;
+        zoomController_.setContainers([document.getElementById('pdf-content')]);
+    };
+    SyncScrolling(GetComparePanes());
+}
 
-                document.getElementById('pdf-content').innerHTML =
-                    '<iframe src="' +
-                    url +
-                    '" width="100%" height="100%"></iframe>';
+/**
+ * Shows the compare view in place of the document.
+ * @param {!Object} streamInfo
+ * @param {string} compareUrl Link to the other version to compare with right
+ *     away, or '' to let the user pick one. Sites the user hasn't given
+ *     access to yet need a click on Compare first.
+ */
+function OpenCompareView(streamInfo, compareUrl) {
+    HideError();
+    document.getElementById('pdf-content').hidden = true;
+    document.getElementById('compare').hidden = false;
+    document.getElementById('compare-left-title').textContent =
+        streamInfo.fileName;
+    zoomController_.setContainers(GetComparePanes());
+    document.getElementById('compare-url').value = compareUrl;
+    if (!IsWebURL(compareUrl)) {
+        ShowCompareStatus('Pick the version to compare with.', false);
+        return;
+    }
+    chrome.permissions.contains(
+        { origins: [new URL(compareUrl).origin + '/*'] },
+        function (granted) {
+            if (granted) {
+                ShowComparison(
+                    streamInfo,
+                    FetchCompareDocument(compareUrl),
+                    GetFileNameFromUrl(compareUrl)
+                );
             } else {
-                this.response.text().then(function (str) {
-                    document.getElementById('pdf-content-message').innerHTML =
-                        '<div>Failed to load document: ' + str + ' :(</div>';
-                    document.getElementById('pdf-content-message').innerHTML +=
-                        '<div>Retriable = ' +
-                        xhr.getResponseHeader('X-IsRetriable') +
-                        '</div>';
-                    document.getElementById('pdf-content-message').innerHTML +=
-                        '<div>Response code = ' + xhr.status + '</div>';
-                    alert('Failed to load document: ' + str);
-                });
+                ShowCompareStatus(
+                    'Click Compare to let the extension read the document ' +
+                        'from ' +
+                        GetUrlHostname(compareUrl) +
+                        '.',
+                    false
+                );
             }
-        };
-        xhr.send();
-    });
+        }
+    );
 }
 
-function GetToolbarForMimeType(type) {
-    switch (GetDocumentTypeHadler(type)) {
-        case 'ms-word':
-            return '#2C579A';
-        case 'ms-powerpoint':
-            return '#B8472A';
-        case 'ms-excel':
-            return '#207346';
+// Toolbar colour for documents of a type that isn't in FILE_TYPES.
+const UNKNOWN_FILE_TYPE_COLOR = '#605E5C';
+
+/**
+ * @return {string} Name of the app for the document shown.
+ */
+function GetAppTitle() {
+    return fileType_ ? fileType_.app : 'Office';
+}
+
+// Keyboard shortcuts, used with Ctrl (Command on macOS), for the toolbar
+// buttons.
+const TOOLBAR_SHORTCUTS = [
+    { key: 's', shift: false, button: 'save' },
+    { key: 's', shift: true, button: 'save-pdf' },
+    { key: 'p', shift: false, button: 'print-btn' },
+    { key: 'e', shift: false, button: 'edit-btn' },
+    { key: 'd', shift: true, button: 'download-btn' },
+    { key: 'l', shift: true, button: 'copy-link-btn' },
+    { key: 'o', shift: true, button: 'new-tab-btn' }
+];
+
+/**
+ * @param {number} bytes
+ * @return {string} e.g. '1.4 MB'.
+ */
+function FormatFileSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
     }
+    return (unit ? bytes.toFixed(1) : bytes) + ' ' + units[unit];
 }
 
-function GetAppTitleForMimeType(type) {
-    switch (GetDocumentTypeHadler(type)) {
-        case 'ms-word':
-            return 'Word';
-        case 'ms-powerpoint':
-            return 'PowerPoint';
-        case 'ms-excel':
-            return 'Excel';
+/**
+ * @param {!Object} streamInfo
+ * @return {string} Where the document came from, its size and when it was
+ *     last modified, as far as the response headers tell.
+ */
+function GetFileDetails(streamInfo) {
+    const details = [
+        IsWebURL(streamInfo.originalUrl)
+            ? new URL(streamInfo.originalUrl).hostname
+            : 'Local file'
+    ];
+    const size = parseInt(GetResponseHeader(streamInfo, 'content-length'), 10);
+    if (!isNaN(size)) {
+        details.push(FormatFileSize(size));
     }
+    const modified = new Date(GetResponseHeader(streamInfo, 'last-modified'));
+    if (!isNaN(modified.getTime())) {
+        details.push('Modified ' + modified.toLocaleString());
+    }
+    return details.join(' \u00b7 ');
+}
+
+/**
+ * @return {?HTMLIFrameElement} The frame showing the document, if any.
+ */
+function GetContentFrame() {
+    return document.querySelector('#pdf-content > iframe');
 }
 
-function SetupToolbarAndDocTitle(streamInfo) {
-    document.getElementById(
-        'toolbar'
-    ).style.backgroundColor = GetToolbarForMimeType(streamInfo.mimeType);
-    document.getElementById('app-title').innerHTML = GetAppTitleForMimeType(
-        streamInfo.mimeType
+/**
+ * Prints the document. The web viewer's frame is on another origin and can't
+ * be printed from here, so its PDF conversion is printed instead.
+ * @param {!Object} streamInfo
+ * @param {!Object} settings
+ */
+function PrintDocument(streamInfo, settings) {
+    const frame = GetContentFrame();
+    if (!frame) {
+        window.print();
+        return;
+    }
+    if (frame.src.indexOf('blob:') === 0) {
+        frame.contentWindow.print();
+        return;
+    }
+    ShowToolbarStatus('Preparing to print...', false);
+    ConvertDocumentToPdf(streamInfo, settings.conversionEndpoint).then(
+        function (pdf) {
+            const printFrame = document.createElement('iframe');
+            printFrame.hidden = true;
+            printFrame.src = URL.createObjectURL(pdf);
+            printFrame.onload = function () {
+                printFrame.contentWindow.print();
+            };
+            document.body.appendChild(printFrame);
+        },
+        function (error) {
+            ReportError(
+                ViewerError.from(error, ErrorCode.CONVERSION_FAILED, true),
+                streamInfo
+            );
+            ShowToolbarStatus('Could not print: ' + error.message, true);
+        }
     );
-    // Get the file name
-    const fileName = decodeURI(
-        streamInfo.originalUrl.split('/').pop().split('#')[0].split('?')[0]
+}
+
+/**
+ * Fills in the toolbar for the document and wires its buttons.
+ * @param {!Object} streamInfo
+ * @param {!Object} settings
+ */
+function SetupToolbarAndDocTitle(streamInfo, settings) {
+    document.getElementById('toolbar').style.backgroundColor = fileType_
+        ? fileType_.color
+        : UNKNOWN_FILE_TYPE_COLOR;
+    document.getElementById('app-title').textContent = GetAppTitle();
+    const fileName = streamInfo.fileName;
+    document.getElementById('file-name').textContent =
+        fileName + ' (Read-Only)';
+    document.getElementById('file-details').textContent = GetFileDetails(
+        streamInfo
     );
-    document.getElementById('file-name').innerHTML = fileName + ' (Read-Only)';
     document.title = fileName;
 
-    document.getElementById('edit-btn').innerHTML =
-        'Edit in ' + GetAppTitleForMimeType(streamInfo.mimeType);
-    document.getElementById('edit-btn').href =
-        GetDocumentTypeHadler(streamInfo.mimeType) +
-        ':ofe|u|' +
-        streamInfo.originalUrl;
-
-    document.getElementById('save').onclick = function () {
-        executeSaveAs(
-            decodeURI(
-                streamInfo.originalUrl
-                    .split('/')
-                    .pop()
-                    .split('#')[0]
-                    .split('?')[0]
-            )
+    document.getElementById('edit-btn-label').textContent =
+        'Edit in ' + GetAppTitle();
+    const editButton = document.getElementById('edit-btn');
+    editButton.hidden = !fileType_;
+    if (fileType_) {
+        editButton.href = GetDesktopEditUrl(
+            fileType_.handler,
+            streamInfo.originalUrl
         );
+    }
+
+    const isWebDocument = IsWebURL(streamInfo.originalUrl);
+    const downloadButton = document.getElementById('download-btn');
+    downloadButton.hidden = !isWebDocument;
+    downloadButton.onclick = function (event) {
+        event.preventDefault();
+        chrome.runtime.sendMessage({
+            type: 'downloadOriginal',
+            url: streamInfo.originalUrl
+        });
     };
+
+    SetupSaveButtons(streamInfo, settings);
+
+    document.getElementById('print-btn').onclick = function (event) {
+        event.preventDefault();
+        PrintDocument(streamInfo, settings);
+    };
+
+    document.getElementById('copy-link-btn').onclick = function (event) {
+        event.preventDefault();
+        navigator.clipboard.writeText(streamInfo.originalUrl).then(
+            function () {
+                ShowToolbarStatus('Link copied.', false);
+            },
+            function (error) {
+                ShowToolbarStatus('Could not copy link: ' + error.message, true);
+            }
+        );
+    };
+
+    document.getElementById('new-tab-btn').onclick = function (event) {
+        event.preventDefault();
+        const frame = GetContentFrame();
+        chrome.tabs.create({
+            url: frame ? frame.src : streamInfo.originalUrl
+        });
+    };
+
+    document.addEventListener('keydown', function (event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+        const shortcut = TOOLBAR_SHORTCUTS.find(
+            (shortcut) =>
+                shortcut.key === event.key.toLowerCase() &&
+                shortcut.shift === event.shiftKey
+        );
+        const button = shortcut && document.getElementById(shortcut.button);
+        if (button && !button.hidden) {
+            event.preventDefault();
+            button.click();
+        }
+    });
 }
 
-let mimeType_ = '';
+// The ZoomController behind the zoom controls in the toolbar.
+let zoomController_ = null;
+
+/**
+ * Wires the zoom controls in the toolbar to a ZoomController for the
+ * document.
+ * @param {!BrowserApi} browserApi
+ * @param {!Object} streamInfo
+ */
+function SetupZoomControls(browserApi, streamInfo) {
+    const zoomController = new ZoomController(
+        browserApi,
+        document.getElementById('pdf-content'),
+        fileType_ ? fileType_.kind : 'other',
+        function (zoom, fitMode) {
+            document.getElementById('zoom-level').textContent =
+                Math.round(zoom * 100) + '%';
+            document
+                .getElementById('fit-width-btn')
+                .classList.toggle('selected', fitMode === FitMode.WIDTH);
+            document
+                .getElementById('fit-page-btn')
+                .classList.toggle('selected', fitMode === FitMode.PAGE);
+        }
+    );
+    const buttons = {
+        'zoom-in-btn': () => zoomController.zoomIn(),
+        'zoom-out-btn': () => zoomController.zoomOut(),
+        'fit-width-btn': () => zoomController.fit(FitMode.WIDTH),
+        'fit-page-btn': () => zoomController.fit(FitMode.PAGE)
+    };
+    for (const id in buttons) {
+        document.getElementById(id).onclick = function (event) {
+            event.preventDefault();
+            buttons[id]();
+        };
+    }
+    zoomController.init();
+    zoomController_ = zoomController;
+}
+
+// FILE_TYPES entry of the document shown, or null if its type is unknown.
+let fileType_ = null;
+
+/**
+ * Works out what the document is, and sets |streamInfo.fileName| and
+ * |streamInfo.extension| to match. A specific MIME type is trusted when it
+ * agrees with the file name. Otherwise the document's content decides.
+ * @param {!Object} streamInfo
+ * @return {!Promise<?Object>} The FILE_TYPES entry, or null if unknown.
+ */
+async function DetectFileType(streamInfo) {
+    streamInfo.fileName =
+        streamInfo.fileName ||
+        GetContentDispositionFileName(
+            GetResponseHeader(streamInfo, 'content-disposition')
+        ) ||
+        GetFileNameFromUrl(streamInfo.originalUrl);
+    streamInfo.extension =
+        streamInfo.fileName.indexOf('.') !== -1
+            ? GetUrlExtension(streamInfo.fileName).toLowerCase()
+            : '';
+    const byMimeType = IsGenericMimeType(streamInfo.mimeType)
+        ? null
+        : GetFileTypeForMimeType(streamInfo.mimeType);
+    const byExtension = GetFileTypeForExtension(streamInfo.extension);
+    if (
+        byMimeType
+            ? !byExtension || byExtension.handler === byMimeType.handler
+            : byExtension
+    ) {
+        return GetFileType(
+            byMimeType ? streamInfo.mimeType : '',
+            streamInfo.extension
+        );
+    }
+
+    let sniffed = '';
+    try {
+        sniffed = await SniffExtension(await GetDocumentBytes(streamInfo));
+    } catch (error) {
+        // Falls back to the type the server and the URL declare.
+    }
+    if (!sniffed) {
+        return byMimeType || byExtension;
+    }
+    if (!byExtension) {
+        streamInfo.fileName += '.' + sniffed;
+    }
+    streamInfo.extension = sniffed;
+    return GetFileTypeForExtension(sniffed);
+}
 
 function IsWebURL(ulr_str) {
     return ulr_str.indexOf('http') == 0;
 }
 
-browser_api.then(function (browserApi) {
-    if (!IsWebURL(browserApi.streamInfo_.originalUrl)) {
-        fetch(browserApi.streamInfo_.streamUrl).then(function (e) {
-            GetPdfStreamForLocal(e.body.getReader(), browserApi.streamInfo_);
-        });
-        return;
+/**
+ * @param {!Object} streamInfo
+ * @param {string} name Header name, in any case.
+ * @return {string} The value of the response header, or '' if it wasn't sent.
+ */
+function GetResponseHeader(streamInfo, name) {
+    const headers = streamInfo.responseHeaders || {};
+    for (const key in headers) {
+        if (key.toLowerCase() === name.toLowerCase()) {
+            return headers[key];
+        }
     }
+    return '';
+}
 
-    if (isAlreadyRedirected(browserApi.streamInfo_.originalUrl)) {
-        chrome.downloads.download(
+/**
+ * Asks the background page for an access token to OneDrive, signing in if
+ * needed. See GraphAuth.
+ * @return {!Promise<string>}
+ */
+function RequestAccessToken() {
+    return new Promise(function (resolve, reject) {
+        chrome.runtime.sendMessage(
+            { type: 'getAccessToken', interactive: true },
+            function (response) {
+                if (response && response.token) {
+                    resolve(response.token);
+                    return;
+                }
+                const message = response
+                    ? response.error
+                    : chrome.runtime.lastError.message;
+                reject(
+                    response && response.code
+                        ? new ViewerError(response.code, message)
+                        : new Error(message)
+                );
+            }
+        );
+    });
+}
+
+/**
+ * Asks the background page's router what to do with the document. An action
+ * the viewer was opened with, e.g. from the context menu, goes through the
+ * router too, so that it can't get around privacy mode or the site lists.
+ * @param {!Object} streamInfo
+ * @return {!Promise<string>} A RouteAction.
+ */
+function RequestRoute(streamInfo) {
+    const size = parseInt(GetResponseHeader(streamInfo, 'content-length'), 10);
+    return new Promise(function (resolve) {
+        chrome.runtime.sendMessage(
             {
-                url: browserApi.streamInfo_.originalUrl
+                type: 'routeDocument',
+                document: {
+                    url: streamInfo.originalUrl,
+                    extension: streamInfo.extension,
+                    kind: fileType_.kind,
+                    mimeType: streamInfo.mimeType,
+                    size: isNaN(size) ? -1 : size
+                },
+                requested: streamInfo.routeAction
             },
-            function (downloadId) {
-                chrome.tabs.remove(browserApi.streamInfo_.tabId);
+            function (response) {
+                // The web viewer is the default route, also when the router
+                // failed.
+                resolve((response && response.action) || 'viewer');
+            }
+        );
+    });
+}
+
+// Port to the background page that stays open while the web viewer shows the
+// document, see RegisterShownDocument().
+let viewerPort_ = null;
+
+/**
+ * Asks the background page whether this tab is loading the document because
+ * the web viewer showing it here navigated back to it, e.g. through its
+ * download link. Showing it again would loop.
+ * @param {!Object} streamInfo
+ * @return {!Promise<boolean>}
+ */
+function IsRedirectLoop(streamInfo) {
+    if (streamInfo.tabId < 0) {
+        return Promise.resolve(false);
+    }
+    return new Promise(function (resolve) {
+        chrome.runtime.sendMessage(
+            {
+                type: 'checkRedirectLoop',
+                tabId: streamInfo.tabId,
+                url: streamInfo.originalUrl
+            },
+            function (response) {
+                resolve(!!(response && response.loop));
             }
         );
+    });
+}
+
+/**
+ * Tells the background page that the web viewer shows the document in this
+ * tab, until the page goes away.
+ * @param {!Object} streamInfo
+ */
+function RegisterShownDocument(streamInfo) {
+    if (viewerPort_ || streamInfo.tabId < 0) {
         return;
     }
+    viewerPort_ = chrome.runtime.connect({ name: 'documentViewer' });
+    viewerPort_.postMessage({
+        type: 'documentShown',
+        tabId: streamInfo.tabId,
+        url: streamInfo.originalUrl
+    });
+}
 
-    mimeType_ = browserApi.streamInfo_.mimeType;
-    browserApi.streamInfo_.originalUrl = addRedirectedQueryParam(
-        browserApi.streamInfo_.originalUrl
-    );
+// How long the web viewer may take to load before it is taken to have failed.
+const VIEWER_LOAD_TIMEOUT_MS = 60 * 1000;
 
+function OpenInWebViewer(streamInfo, settings) {
     // Uncomment below lines for demo and replace the URL
     // document.getElementById('edit-btn').href = "http://www.bing.com";
     // document.getElementById('edit-btn').target = "_blank";
 
     // comment start for demo
-    document.getElementById('edit-btn').href =
-        GetDocumentTypeHadler(mimeType_) +
-        ':ofe|u|' +
-        browserApi.streamInfo_.originalUrl;
-    // comment end
-    document.getElementById('pdf-content').innerHTML =
-        '<iframe allow="fullscreen" src="https://view.officeapps.live.com/op/view.aspx?src=' +
-        browserApi.streamInfo_.originalUrl +
-        '" width="100%" height="100%"></iframe>';
-    const fileName = decodeURI(
-        browserApi.streamInfo_.originalUrl
-            .split('/')
-            .pop()
-            .split('#')[0]
-            .split('?')[0]
+    document.getElementById('edit-btn').href = GetDesktopEditUrl(
+        fileType_.handler,
+        streamInfo.originalUrl
     );
-    document.title = fileName;
-});
+    // comment end
+    const iframe = document.createElement('iframe');
+    iframe.allow = 'fullscreen';
+    iframe.src =
+        settings.viewerEndpoint +
+        '?src=' +
+        encodeURIComponent(streamInfo.originalUrl);
+    iframe.width = '100%';
+    iframe.height = '100%';
+    // Load errors inside the cross-origin frame can't be seen from here, but
+    // a viewer that never finishes loading can.
+    const timer = setTimeout(function () {
+        if (!iframe.isConnected) {
+            return;
+        }
+        ShowError(
+            new ViewerError(
+                ErrorCode.VIEWER_LOAD_FAILED,
+                'The viewer did not finish loading in ' +
+                    VIEWER_LOAD_TIMEOUT_MS / 1000 +
+                    ' seconds.',
+                { retriable: true }
+            ),
+            streamInfo,
+            function () {
+                OpenInWebViewer(streamInfo, settings);
+            }
+        );
+    }, VIEWER_LOAD_TIMEOUT_MS);
+    iframe.onload = function () {
+        clearTimeout(timer);
+        // Only the first load counts from when the page was opened.
+        if (!OpenInWebViewer.loadRecorded_) {
+            OpenInWebViewer.loadRecorded_ = true;
+            RecordTimeMetric(Metric.VIEWER_LOAD_TIME, performance.now());
+        }
+    };
+    const content = document.getElementById('pdf-content');
+    content.textContent = '';
+    content.appendChild(iframe);
+    RegisterShownDocument(streamInfo);
+}
+
+function OpenInDesktopApp(streamInfo) {
+    chrome.tabs.update({
+        url: GetDesktopEditUrl(fileType_.handler, streamInfo.originalUrl)
+    });
+    document.getElementById('pdf-content').textContent =
+        'Opened in ' + GetAppTitle() + '.';
+}
 
-function isAlreadyRedirected(originalUrl) {
-    if (originalUrl.indexOf('?') >= 0) {
-        var queryParams = originalUrl.split('?')[1];
-        return queryParams.indexOf('edgeRedirected') != -1;
+/**
+ * Explains that the document can't be shown in the browser, and offers to
+ * open it in the desktop app or download it instead.
+ * @param {!Object} streamInfo
+ */
+function ShowUnsupportedType(streamInfo) {
+    const extension = streamInfo.extension;
+    document.getElementById('pdf-content').textContent = '';
+    document.getElementById('unsupported-message').textContent = fileType_
+        ? GetAppTitle() +
+          ' files of type .' +
+          extension +
+          " can't be shown in the browser."
+        : 'Files of type ' +
+          (streamInfo.mimeType || '.' + extension) +
+          " aren't supported.";
+    const editButton = document.getElementById('unsupported-edit-btn');
+    editButton.hidden = !fileType_;
+    if (fileType_) {
+        editButton.textContent = 'Open in ' + GetAppTitle();
+        editButton.href = GetDesktopEditUrl(
+            fileType_.handler,
+            streamInfo.originalUrl
+        );
     }
+    const downloadButton = document.getElementById('unsupported-download-btn');
+    downloadButton.hidden = !IsWebURL(streamInfo.originalUrl);
+    downloadButton.onclick = function () {
+        DownloadAndLeaveTab(streamInfo);
+    };
+    document.getElementById('unsupported-panel').hidden = false;
+}
+
+/**
+ * Records how the document was shown in the usage metrics, and adds it to
+ * the recent documents shown in the popup unless the user turned the history
+ * off.
+ * @param {!Object} streamInfo
+ * @param {string} route The RouteAction taken, or 'upload'.
+ * @param {Object=} driveItem The driveItem the document was uploaded as.
+ * @return {!Promise}
+ */
+function RecordDocument(streamInfo, route, driveItem) {
+    const metrics = RecordRouteMetrics(route, fileType_.kind);
+    const history = LoadSettings().then(function (settings) {
+        if (!IsHistoryEnabled(settings)) {
+            return;
+        }
+        const url = streamInfo.originalUrl;
+        const entry = {
+            url: url,
+            title: streamInfo.fileName,
+            kind: fileType_.kind,
+            mimeType: streamInfo.mimeType,
+            extension: streamInfo.extension,
+            site: IsWebURL(url) ? GetUrlHostname(url) : '',
+            openedAt: Date.now(),
+            route: route
+        };
+        if (driveItem) {
+            entry.driveItem = { id: driveItem.id, webUrl: driveItem.webUrl };
+        }
+        return new DocumentHistory().record(entry, settings.historySize);
+    });
+    return Promise.all([metrics, history]);
+}
 
-    return false;
+function DownloadAndLeaveTab(streamInfo) {
+    // The background page starts the download so that its router knows not
+    // to send it straight back to the viewer, then takes the tab away from
+    // the document, see LeaveDocumentTab().
+    chrome.runtime.sendMessage({
+        type: 'downloadOriginal',
+        url: streamInfo.originalUrl,
+        leaveTabId: streamInfo.tabId
+    });
 }
 
-function addRedirectedQueryParam(originalUrl) {
-    if (originalUrl.indexOf('?') >= 0) {
-        return originalUrl + '&edgeRedirected';
+Promise.all([browser_api, LoadSettings()]).then(async function ([
+    browserApi,
+    settings
+]) {
+    const streamInfo = browserApi.getStreamInfo();
+    if (
+        IsWebURL(streamInfo.originalUrl) &&
+        (await IsRedirectLoop(streamInfo))
+    ) {
+        DownloadAndLeaveTab(streamInfo);
+        return;
     }
 
-    return originalUrl + '?edgeRedirected';
+    fileType_ = await DetectFileType(streamInfo);
+    SetupToolbarAndDocTitle(streamInfo, settings);
+    SetupZoomControls(browserApi, streamInfo);
+    SetupCompareView(streamInfo);
+    if (typeof streamInfo.compareUrl === 'string') {
+        OpenCompareView(streamInfo, streamInfo.compareUrl);
+        return;
+    }
+    if (!fileType_) {
+        ShowUnsupportedType(streamInfo);
+        return;
+    }
+    const isCsv = fileType_.kind === 'csv';
+    if (!IsWebURL(streamInfo.originalUrl)) {
+        if (isCsv) {
+            OpenInCsvViewer(streamInfo);
+            RecordDocument(streamInfo, 'local');
+            return;
+        }
+        // Uploaded documents are shown with the web viewer too.
+        if (
+            settings.privacyMode ||
+            !settings.allowLocalUpload ||
+            !fileType_.viewer
+        ) {
+            if (fileType_.preview) {
+                OpenInLocalPreview(streamInfo);
+                RecordDocument(streamInfo, 'local');
+            } else {
+                ShowUnsupportedType(streamInfo);
+            }
+            return;
+        }
+        GetPdfStreamForLocal(streamInfo);
+        return;
+    }
+
+    const action = await RequestRoute(streamInfo);
+    // CSV needs no online service; it is always shown natively.
+    if (isCsv && (action === 'viewer' || action === 'local')) {
+        OpenInCsvViewer(streamInfo);
+        RecordDocument(streamInfo, 'local');
+        return;
+    }
+    const isOnline = action === 'viewer' || action === 'pdf';
+    if (isOnline && !navigator.onLine && fileType_.preview) {
+        OpenInLocalPreview(
+            streamInfo,
+            'You are offline. Showing an offline preview instead.'
+        );
+        RecordDocument(streamInfo, 'local');
+        return;
+    }
+    if (!FileTypeSupportsAction(fileType_, action)) {
+        ShowUnsupportedType(streamInfo);
+        return;
+    }
+    if (isOnline) {
+        // The viewer and the PDF conversion fetch the document by its URL,
+        // without the user's cookies.
+        const reachability = await CheckDocumentReachability(
+            streamInfo.originalUrl,
+            settings
+        );
+        if (!reachability.isPublic) {
+            OpenPrivateDocument(streamInfo, settings, reachability.reason);
+            return;
+        }
+        ShowToolbarStatus(
+            'The online viewer fetches this document from ' +
+                GetUrlHostname(streamInfo.originalUrl) +
+                ' directly.',
+            false
+        );
+    }
+    switch (action) {
+        case 'download':
+            // Downloads are the browser's to list, so only the metrics are
+            // recorded, before the tab goes away.
+            RecordRouteMetrics(action, fileType_.kind).then(function () {
+                DownloadAndLeaveTab(streamInfo);
+            });
+            return;
+        case 'desktop':
+            OpenInDesktopApp(streamInfo);
+            break;
+        case 'pdf':
+            ConvertOnlineDocToPDFAndOpen(streamInfo, settings);
+            SetupViewModeToggle(streamInfo, settings, 'pdf');
+            break;
+        case 'local':
+            OpenInLocalPreview(streamInfo);
+            break;
+        default:
+            OpenInWebViewer(streamInfo, settings);
+            SetupViewModeToggle(streamInfo, settings, 'viewer');
+    }
+    RecordDocument(streamInfo, action);
+}).catch(function (error) {
+    // Anything not handled above would otherwise leave the tab blank.
+    browser_api
+        .then(
+            (browserApi) => browserApi.getStreamInfo(),
+            () => ({ originalUrl: '' })
+        )
+        .then(function (streamInfo) {
+            ShowError(
+                ViewerError.from(error, ErrorCode.FETCH_FAILED, false),
+                streamInfo
+            );
+        });
+});
+
+/**
+ * Shows a short message in the toolbar for a few seconds.
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function ShowToolbarStatus(message, isError) {
+    const status = document.getElementById('toolbar-status');
+    status.textContent = message;
+    status.className = isError ? 'error' : '';
+    status.hidden = false;
+    clearTimeout(ShowToolbarStatus.timer_);
+    ShowToolbarStatus.timer_ = setTimeout(function () {
+        status.hidden = true;
+    }, 5000);
 }
 
-function executeSaveAs(fileName) {
-    chrome.fileSystem.chooseEntry(
-        {
-            type: 'saveFile',
-            suggestedName: fileName,
-            // Saving the file with .pdf extension
-            accepts: [{ extensions: [fileName.split('.').pop()] }]
-        },
-        writeUsingEntry
-    );
+/**
+ * Saves data through the downloads API, asking the user where to put it.
+ * Used where chrome.fileSystem isn't available.
+ * @param {string} fileName
+ * @param {!Blob} blob
+ * @return {!Promise<{status: string}>}
+ */
+function saveUsingDownloads(fileName, blob) {
+    const url = URL.createObjectURL(blob);
+    return new Promise(function (resolve, reject) {
+        chrome.downloads.download(
+            { url: url, filename: fileName, saveAs: true },
+            function (downloadId) {
+                // The download keeps its own reference to the data.
+                setTimeout(function () {
+                    URL.revokeObjectURL(url);
+                }, 60 * 1000);
+                if (chrome.runtime.lastError || downloadId === undefined) {
+                    const message = chrome.runtime.lastError
+                        ? chrome.runtime.lastError.message
+                        : 'Download failed';
+                    if (message.indexOf('canceled') !== -1) {
+                        resolve({ status: 'Cancelled' });
+                        return;
+                    }
+                    reject(new Error(message));
+                    return;
+                }
+                resolve({ status: 'Saved' });
+            }
+        );
+    });
+}
+
+/**
+ * Asks the user where to save a file and writes |blob| there.
+ * @param {string} fileName Suggested file name.
+ * @param {!Blob} blob
+ * @return {!Promise<{status: string, path: (string|undefined)}>} status is
+ *     'Saved' or 'Cancelled'.
+ */
+function executeSaveAs(fileName, blob) {
+    if (!chrome.fileSystem) {
+        return saveUsingDownloads(fileName, blob);
+    }
+    return new Promise(function (resolve, reject) {
+        chrome.fileSystem.chooseEntry(
+            {
+                type: 'saveFile',
+                suggestedName: fileName,
+                accepts: [{ extensions: [fileName.split('.').pop()] }]
+            },
+            function (entry) {
+                writeUsingEntry(entry, blob, { resolve, reject });
+            }
+        );
+    });
 }
 
-const writeUsingEntry = (entry) => {
+const writeUsingEntry = (entry, blob, promiseResolver) => {
     if (chrome.runtime.lastError) {
         if (chrome.runtime.lastError.message !== 'User cancelled') {
-            console.log(
-                'chrome.fileSystem.chooseEntry failed: ' +
-                    chrome.runtime.lastError.message
+            promiseResolver.reject(
+                new Error(
+                    'chrome.fileSystem.chooseEntry failed: ' +
+                        chrome.runtime.lastError.message
+                )
             );
+            return;
         }
+        promiseResolver.resolve({ status: 'Cancelled' });
         return;
     }
     entry.createWriter((writer) => {
@@ -552,10 +1658,87 @@ const writeUsingEntry = (entry) => {
                 return;
             }
             chrome.fileSystem.getDisplayPath(entry, function (path) {
-                promiseResolver.resolve({ status: 'Saved', path, saveInPlace });
+                promiseResolver.resolve({ status: 'Saved', path });
             });
         };
-        writer.onerror = (event) => {};
-        writer.write(new Blob([result.dataToSave], { type: mimeType_ }));
+        writer.onerror = (event) => {
+            promiseResolver.reject(
+                new Error('Could not write the file: ' + writer.error.message)
+            );
+        };
+        writer.write(blob);
     });
 };
+
+/**
+ * Runs a save and reports how it went. Failures are shown in the toolbar,
+ * which leaves the document in view, and logged.
+ * @param {!Promise<{status: string, path: (string|undefined)}>} save
+ * @param {!Object} streamInfo
+ */
+function ReportSave(save, streamInfo) {
+    save.then(
+        function (result) {
+            if (result.status === 'Saved') {
+                ShowToolbarStatus(
+                    result.path ? 'Saved to ' + result.path : 'Saved.',
+                    false
+                );
+            }
+        },
+        function (error) {
+            const saveError = ViewerError.from(
+                error,
+                ErrorCode.SAVE_FAILED,
+                true
+            );
+            ReportError(saveError, streamInfo);
+            ShowToolbarStatus('Save failed: ' + saveError.message, true);
+        }
+    );
+}
+
+/**
+ * Wires the "Save original" and "Save as PDF" buttons.
+ * @param {!Object} streamInfo
+ * @param {!Object} settings
+ */
+function SetupSaveButtons(streamInfo, settings) {
+    const fileName = streamInfo.fileName;
+    document.getElementById('save').onclick = function (event) {
+        event.preventDefault();
+        ShowToolbarStatus('Saving...', false);
+        ReportSave(
+            GetDocumentBytes(streamInfo).then(function (bytes) {
+                return executeSaveAs(
+                    fileName,
+                    new Blob([bytes], { type: streamInfo.mimeType })
+                );
+            }),
+            streamInfo
+        );
+    };
+    // The conversion service needs to fetch the document itself, which it
+    // can't do for local files or in privacy mode.
+    const pdfButton = document.getElementById('save-pdf');
+    pdfButton.hidden =
+        !IsWebURL(streamInfo.originalUrl) ||
+        settings.privacyMode ||
+        !fileType_ ||
+        !fileType_.viewer;
+    pdfButton.onclick = function (event) {
+        event.preventDefault();
+        ShowToolbarStatus('Converting to PDF...', false);
+        ReportSave(
+            ConvertDocumentToPdf(streamInfo, settings.conversionEndpoint).then(
+                function (pdf) {
+                    return executeSaveAs(
+                        fileName.replace(/\.[^.]*$/, '') + '.pdf',
+                        pdf
+                    );
+                }
+            ),
+            streamInfo
+        );
+    };
+}
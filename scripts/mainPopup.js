@@ -0,0 +1,352 @@
+/**
+ * Shows the signed in account, or the sign-in button if there is none.
+ * @param {Object} account
+ */
+function ShowAccount(account) {
+    document.getElementById('account-name').textContent = account
+        ? 'Signed in as ' + (account.username || account.name)
+        : 'Not signed in';
+    document.getElementById('sign-in-btn').hidden = !!account;
+    document.getElementById('switch-account-btn').hidden = !account;
+    document.getElementById('sign-out-btn').hidden = !account;
+}
+
+/**
+ * Asks the background page to run an account action.
+ * @param {string} type One of 'getAccount', 'signIn', 'switchAccount' or
+ *     'signOut'.
+ */
+function SendAccountMessage(type) {
+    chrome.runtime.sendMessage({ type: type }, function (response) {
+        if (!response) {
+            return;
+        }
+        if (response.error) {
+            document.getElementById('account-name').textContent =
+                response.error;
+            return;
+        }
+        ShowAccount(response.account);
+    });
+}
+
+// How each route is described in the history.
+const ROUTE_LABELS = {
+    viewer: 'Web viewer',
+    pdf: 'PDF',
+    local: 'Offline preview',
+    desktop: 'Desktop app',
+    upload: 'OneDrive'
+};
+
+const documentHistory = new DocumentHistory();
+
+/**
+ * @param {number} time Milliseconds since the epoch.
+ * @return {string} How long ago |time| was, e.g. '5 minutes ago'.
+ */
+function FormatTimeAgo(time) {
+    const format = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+    const minutes = Math.round((time - Date.now()) / 60000);
+    if (Math.abs(minutes) < 60) {
+        return format.format(minutes, 'minute');
+    }
+    const hours = Math.round(minutes / 60);
+    if (Math.abs(hours) < 24) {
+        return format.format(hours, 'hour');
+    }
+    return format.format(Math.round(hours / 24), 'day');
+}
+
+/**
+ * @param {string} className
+ * @param {string} icon Font Awesome icon name.
+ * @param {string} title
+ * @param {function()} onclick
+ * @return {!Element}
+ */
+function CreateListButton(className, icon, title, onclick) {
+    const button = document.createElement('button');
+    button.className = 'list-action ' + className;
+    button.title = title;
+    button.onclick = onclick;
+    const i = document.createElement('i');
+    i.className = 'fa ' + icon;
+    button.appendChild(i);
+    return button;
+}
+
+/**
+ * @param {!Object} entry A DocumentHistory entry.
+ * @return {!Element}
+ */
+function CreateHistoryItem(entry) {
+    const fileType = GetFileType(entry.mimeType, entry.extension);
+    const item = document.createElement('li');
+    item.className = 'list-item' + (entry.pinned ? ' pinned' : '');
+    if (fileType) {
+        item.style.borderLeftColor = fileType.color;
+    }
+
+    const text = document.createElement('div');
+    text.className = 'list-text';
+    text.title = entry.url;
+    const name = document.createElement('div');
+    name.className = 'list-name';
+    name.textContent = entry.title || entry.url;
+    const meta = document.createElement('div');
+    meta.className = 'list-meta';
+    meta.textContent = [
+        entry.site || 'This device',
+        FormatTimeAgo(entry.openedAt),
+        ROUTE_LABELS[entry.route] || entry.route
+    ].join(' \u00b7 ');
+    text.appendChild(name);
+    text.appendChild(meta);
+    item.appendChild(text);
+
+    item.appendChild(
+        CreateListButton(
+            'history-pin',
+            'fa-thumb-tack',
+            entry.pinned ? 'Unpin' : 'Pin',
+            function () {
+                documentHistory.setPinned(entry.url, !entry.pinned);
+            }
+        )
+    );
+    item.appendChild(
+        CreateListButton(
+            '',
+            'fa-eye',
+            entry.driveItem ? 'Open in OneDrive' : 'Open in the viewer',
+            function () {
+                chrome.runtime.sendMessage({
+                    type: 'reopenDocument',
+                    document: entry,
+                    action: 'viewer'
+                });
+            }
+        )
+    );
+    // The desktop apps open documents by their web address.
+    if (fileType && /^https?:/.test(entry.url)) {
+        item.appendChild(
+            CreateListButton(
+                '',
+                'fa-pencil',
+                'Open in ' + fileType.app,
+                function () {
+                    chrome.runtime.sendMessage({
+                        type: 'reopenDocument',
+                        document: entry,
+                        action: 'desktop'
+                    });
+                }
+            )
+        );
+    }
+    item.appendChild(
+        CreateListButton('', 'fa-times', 'Remove from history', function () {
+            documentHistory.remove(entry.url);
+        })
+    );
+    return item;
+}
+
+// How each UploadSyncStatus is described.
+const UPLOAD_STATUS_LABELS = {
+    synced: 'In sync',
+    edited: 'Edited in OneDrive',
+    deleted: 'Deleted from OneDrive',
+    unknown: 'Sign in to check'
+};
+
+/**
+ * Asks the background page to run an action on an uploaded copy, then lists
+ * the uploads again.
+ * @param {string} type 'deleteUpload' or 'saveEditedUpload'.
+ * @param {string} localUrl
+ */
+function SendUploadMessage(type, localUrl) {
+    chrome.runtime.sendMessage(
+        { type: type, localUrl: localUrl },
+        function (response) {
+            const status = document.getElementById('uploads-status');
+            status.textContent = response ? response.error || '' : '';
+            status.hidden = !status.textContent;
+            LoadUploads();
+        }
+    );
+}
+
+/**
+ * @param {{localUrl: string, entry: !Object, item: Object,
+ *     status: string}} upload See GetUploads().
+ * @return {!Element}
+ */
+function CreateUploadItem(upload) {
+    const item = document.createElement('li');
+    item.className = 'list-item upload-' + upload.status;
+
+    const text = document.createElement('div');
+    text.className = 'list-text';
+    text.title = upload.localUrl;
+    const name = document.createElement('div');
+    name.className = 'list-name';
+    name.textContent = upload.entry.name;
+    const meta = document.createElement('div');
+    meta.className = 'list-meta';
+    meta.textContent =
+        UPLOAD_STATUS_LABELS[upload.status] +
+        ' \u00b7 uploaded ' +
+        FormatTimeAgo(upload.entry.uploadedAt);
+    text.appendChild(name);
+    text.appendChild(meta);
+    item.appendChild(text);
+
+    if (upload.item) {
+        item.appendChild(
+            CreateListButton(
+                '',
+                'fa-external-link',
+                'Open in OneDrive',
+                function () {
+                    chrome.tabs.create({ url: upload.item.webUrl });
+                }
+            )
+        );
+    }
+    if (upload.status === 'edited') {
+        item.appendChild(
+            CreateListButton(
+                '',
+                'fa-download',
+                'Save the edited version over the original',
+                function () {
+                    SendUploadMessage('saveEditedUpload', upload.localUrl);
+                }
+            )
+        );
+    }
+    item.appendChild(
+        CreateListButton('', 'fa-trash', 'Delete from OneDrive', function () {
+            if (
+                upload.status === 'edited' &&
+                !window.confirm(
+                    'This copy was edited in OneDrive. Delete it and its edits?'
+                )
+            ) {
+                return;
+            }
+            SendUploadMessage('deleteUpload', upload.localUrl);
+        })
+    );
+    return item;
+}
+
+/**
+ * Lists the copies uploaded to OneDrive with their sync status, which the
+ * background page looks up.
+ */
+function LoadUploads() {
+    chrome.runtime.sendMessage({ type: 'getUploads' }, function (response) {
+        const uploads = response ? response.uploads : [];
+        const list = document.getElementById('uploads-list');
+        list.textContent = '';
+        for (const upload of uploads) {
+            list.appendChild(CreateUploadItem(upload));
+        }
+        document.getElementById('uploads').hidden = uploads.length === 0;
+    });
+}
+
+/**
+ * Lists the recent documents that match the search and the app filter,
+ * pinned ones first.
+ * @param {!Array<!Object>} entries
+ */
+function ShowHistory(entries) {
+    const query = document
+        .getElementById('history-search')
+        .value.trim()
+        .toLowerCase();
+    const app = document.getElementById('history-filter').value;
+    const matches = entries.filter(function (entry) {
+        const fileType = GetFileType(entry.mimeType, entry.extension);
+        return (
+            (!app || (fileType && fileType.app === app)) &&
+            (!query ||
+                (entry.title || '').toLowerCase().indexOf(query) !== -1 ||
+                entry.url.toLowerCase().indexOf(query) !== -1)
+        );
+    });
+    matches.sort((a, b) => b.pinned - a.pinned);
+
+    const list = document.getElementById('history-list');
+    list.textContent = '';
+    for (const entry of matches) {
+        list.appendChild(CreateHistoryItem(entry));
+    }
+    const empty = document.getElementById('history-empty');
+    empty.textContent = entries.length
+        ? 'No documents match.'
+        : 'Documents you open will be listed here.';
+    empty.hidden = matches.length > 0;
+}
+
+function LoadHistory() {
+    documentHistory.getAll().then(ShowHistory);
+}
+
+/**
+ * @param {!Object} settings
+ */
+function SetupHistory(settings) {
+    if (!IsHistoryEnabled(settings)) {
+        document.getElementById('history-controls').hidden = true;
+        const empty = document.getElementById('history-empty');
+        empty.textContent =
+            settings.historySize > 0
+                ? "History isn't kept in incognito windows."
+                : 'History is turned off in the options.';
+        empty.hidden = false;
+        return;
+    }
+    const filter = document.getElementById('history-filter');
+    const apps = FILE_TYPES.map((type) => type.app).filter(
+        (app, i, all) => all.indexOf(app) === i
+    );
+    for (const app of apps) {
+        const option = document.createElement('option');
+        option.value = app;
+        option.textContent = app;
+        filter.appendChild(option);
+    }
+    filter.onchange = LoadHistory;
+    document.getElementById('history-search').oninput = LoadHistory;
+    chrome.storage.onChanged.addListener(function (changes, areaName) {
+        if (areaName === 'local' && changes[DOCUMENT_HISTORY_KEY]) {
+            LoadHistory();
+        }
+    });
+    LoadHistory();
+}
+
+document.getElementById('sign-in-btn').onclick = function () {
+    SendAccountMessage('signIn');
+};
+document.getElementById('switch-account-btn').onclick = function () {
+    SendAccountMessage('switchAccount');
+};
+document.getElementById('sign-out-btn').onclick = function () {
+    SendAccountMessage('signOut');
+};
+
+document.getElementById('options-link').onclick = function () {
+    chrome.runtime.openOptionsPage();
+};
+
+SendAccountMessage('getAccount');
+LoadSettings().then(SetupHistory);
+LoadUploads();
@@ -0,0 +1,252 @@
+const METRICS_STORAGE_KEY = 'localMetrics';
+// Prefix of every histogram name.
+const METRICS_PREFIX = 'OfficeViewer.';
+
+/**
+ * Histograms recorded, without METRICS_PREFIX.
+ * @enum {string}
+ */
+const Metric = {
+    // How a document was shown, one of METRIC_ROUTES.
+    ROUTE: 'Route',
+    // Kind of each document routed, one of METRIC_DOCUMENT_KINDS.
+    DOCUMENT_KIND: 'DocumentKind',
+    UPLOAD_SIZE_KB: 'Upload.SizeKB',
+    UPLOAD_DURATION: 'Upload.Duration',
+    CONVERSION_LATENCY: 'Conversion.Latency',
+    // HTTP status of failed conversions, 0 if the service wasn't reached.
+    CONVERSION_FAILURE_STATUS: 'Conversion.FailureStatus',
+    // ErrorCode of every failure the viewer reports.
+    ERROR: 'Error',
+    // Time from opening the viewer page until the web viewer has loaded.
+    VIEWER_LOAD_TIME: 'Viewer.LoadTime'
+};
+
+// Enumerations are recorded as indices into these lists, so new values may
+// only be appended. The same goes for ErrorCode.
+const METRIC_ROUTES = [
+    'viewer',
+    'desktop',
+    'pdf',
+    'download',
+    'local',
+    'upload'
+];
+const METRIC_DOCUMENT_KINDS = [
+    'unknown',
+    'word',
+    'excel',
+    'powerpoint',
+    'csv',
+    'visio'
+];
+
+// Largest upload size recorded, in KB; larger uploads fall in the top bucket.
+const METRIC_MAX_UPLOAD_KB = 4 * 1024 * 1024;
+
+// Local samples are written by the background page only, one after the
+// other, so that none are lost to overlapping reads and writes of the
+// storage. Other pages send theirs there, see AddLocalSample().
+let localMetricsWrite_ = Promise.resolve();
+
+/**
+ * @return {boolean} Whether the browser takes metrics for its own
+ *     histograms. Only extensions it trusts get chrome.metricsPrivate.
+ */
+function HasMetricsPrivate() {
+    return !!(chrome.metricsPrivate && chrome.metricsPrivate.recordValue);
+}
+
+/**
+ * @return {!Promise<boolean>} Whether the user lets us record metrics.
+ */
+function IsMetricsEnabled() {
+    return LoadSettings().then((settings) => settings.usageMetrics);
+}
+
+/**
+ * @param {number} value
+ * @return {string} Lower bound of the power of two bucket |value| falls in.
+ */
+function GetLocalBucket(value) {
+    return value < 1 ? '0' : String(Math.pow(2, Math.floor(Math.log2(value))));
+}
+
+/**
+ * Adds a sample to the histograms kept in chrome.storage.local, which are
+ * {[name]: {enumeration, count, sum, buckets: {[bucket]: count}}}.
+ * @param {string} name
+ * @param {string|number} sample An enumeration label, or a number.
+ * @return {!Promise}
+ */
+function AddLocalSample(name, sample) {
+    if (chrome.extension.getBackgroundPage() !== window) {
+        return new Promise(function (resolve) {
+            chrome.runtime.sendMessage(
+                { type: 'addMetricsSample', name: name, sample: sample },
+                function () {
+                    resolve();
+                }
+            );
+        });
+    }
+    const isEnumeration = typeof sample === 'string';
+    localMetricsWrite_ = localMetricsWrite_.then(function () {
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(METRICS_STORAGE_KEY, function (items) {
+                const metrics = items[METRICS_STORAGE_KEY] || {};
+                const histogram = metrics[name] || {
+                    enumeration: isEnumeration,
+                    count: 0,
+                    sum: 0,
+                    buckets: {}
+                };
+                const bucket = isEnumeration ? sample : GetLocalBucket(sample);
+                histogram.count++;
+                histogram.sum += isEnumeration ? 0 : sample;
+                histogram.buckets[bucket] =
+                    (histogram.buckets[bucket] || 0) + 1;
+                metrics[name] = histogram;
+                chrome.storage.local.set(
+                    { [METRICS_STORAGE_KEY]: metrics },
+                    resolve
+                );
+            });
+        });
+    });
+    return localMetricsWrite_;
+}
+
+/**
+ * @param {Metric} metric
+ * @param {!Array<string>} labels All values of the enumeration.
+ * @param {string} label
+ * @return {!Promise}
+ */
+function RecordEnumerationMetric(metric, labels, label) {
+    return IsMetricsEnabled().then(function (enabled) {
+        const index = labels.indexOf(label);
+        if (!enabled || index === -1) {
+            return;
+        }
+        if (HasMetricsPrivate()) {
+            chrome.metricsPrivate.recordEnumerationValue(
+                METRICS_PREFIX + metric,
+                index,
+                labels.length
+            );
+            return;
+        }
+        return AddLocalSample(metric, label);
+    });
+}
+
+/**
+ * @param {Metric} metric
+ * @param {number} milliseconds
+ * @return {!Promise}
+ */
+function RecordTimeMetric(metric, milliseconds) {
+    return IsMetricsEnabled().then(function (enabled) {
+        if (!enabled) {
+            return;
+        }
+        milliseconds = Math.round(milliseconds);
+        if (HasMetricsPrivate()) {
+            chrome.metricsPrivate.recordLongTime(
+                METRICS_PREFIX + metric,
+                milliseconds
+            );
+            return;
+        }
+        return AddLocalSample(metric, milliseconds);
+    });
+}
+
+/**
+ * @param {Metric} metric
+ * @param {number} value
+ * @param {number} max Values above this are recorded in the top bucket.
+ * @return {!Promise}
+ */
+function RecordCountMetric(metric, value, max) {
+    return IsMetricsEnabled().then(function (enabled) {
+        if (!enabled) {
+            return;
+        }
+        value = Math.round(value);
+        if (HasMetricsPrivate()) {
+            chrome.metricsPrivate.recordValue(
+                {
+                    metricName: METRICS_PREFIX + metric,
+                    type: 'histogram-log',
+                    min: 1,
+                    max: max,
+                    buckets: 50
+                },
+                value
+            );
+            return;
+        }
+        return AddLocalSample(metric, Math.min(value, max));
+    });
+}
+
+/**
+ * Records a value from a large, sparse set, such as an HTTP status.
+ * @param {Metric} metric
+ * @param {number} value
+ * @return {!Promise}
+ */
+function RecordSparseMetric(metric, value) {
+    return IsMetricsEnabled().then(function (enabled) {
+        if (!enabled) {
+            return;
+        }
+        if (HasMetricsPrivate()) {
+            chrome.metricsPrivate.recordSparseValue(
+                METRICS_PREFIX + metric,
+                value
+            );
+            return;
+        }
+        return AddLocalSample(metric, String(value));
+    });
+}
+
+/**
+ * Records how a document was shown.
+ * @param {string} route A RouteAction, or 'upload'.
+ * @param {string=} kind The document kind, see FILE_TYPES.
+ * @return {!Promise}
+ */
+function RecordRouteMetrics(route, kind) {
+    return Promise.all([
+        RecordEnumerationMetric(Metric.ROUTE, METRIC_ROUTES, route),
+        RecordEnumerationMetric(
+            Metric.DOCUMENT_KIND,
+            METRIC_DOCUMENT_KINDS,
+            kind || 'unknown'
+        )
+    ]);
+}
+
+/**
+ * @param {!ViewerError} error
+ * @return {!Promise}
+ */
+function RecordErrorMetrics(error) {
+    const recorded = [
+        RecordEnumerationMetric(
+            Metric.ERROR,
+            Object.values(ErrorCode),
+            error.code
+        )
+    ];
+    if (error.code === ErrorCode.CONVERSION_FAILED) {
+        recorded.push(
+            RecordSparseMetric(Metric.CONVERSION_FAILURE_STATUS, error.status)
+        );
+    }
+    return Promise.all(recorded);
+}
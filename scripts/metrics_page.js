@@ -0,0 +1,88 @@
+/**
+ * @param {string} name
+ * @param {!Object} histogram See AddLocalSample().
+ * @return {!Element} A section listing the buckets of |histogram|.
+ */
+function CreateHistogramSection(name, histogram) {
+    const section = document.createElement('section');
+    const title = document.createElement('h3');
+    title.textContent = METRICS_PREFIX + name;
+    section.appendChild(title);
+
+    const summary = document.createElement('p');
+    summary.className = 'hint';
+    summary.textContent =
+        histogram.count +
+        (histogram.count === 1 ? ' sample' : ' samples') +
+        (histogram.enumeration
+            ? ''
+            : ', mean ' + Math.round(histogram.sum / histogram.count));
+    section.appendChild(summary);
+
+    // Value buckets read best in order, enumerations by how common they are.
+    const buckets = Object.keys(histogram.buckets);
+    if (histogram.enumeration) {
+        buckets.sort((a, b) => histogram.buckets[b] - histogram.buckets[a]);
+    } else {
+        buckets.sort((a, b) => Number(a) - Number(b));
+    }
+    const table = document.createElement('table');
+    table.className = 'metrics-table';
+    for (const bucket of buckets) {
+        const row = table.insertRow();
+        row.insertCell().textContent = histogram.enumeration
+            ? bucket
+            : '\u2265 ' + bucket;
+        row.insertCell().textContent = histogram.buckets[bucket];
+    }
+    section.appendChild(table);
+    return section;
+}
+
+/**
+ * @param {!Object} settings
+ * @param {!Object} metrics The histograms kept in chrome.storage.local.
+ */
+function ShowMetrics(settings, metrics) {
+    const status = document.getElementById('metrics-status');
+    if (!settings.usageMetrics) {
+        status.textContent = 'Usage metrics are turned off in the options.';
+    } else if (HasMetricsPrivate()) {
+        status.textContent =
+            'Metrics are recorded in the browser, see chrome://histograms/' +
+            METRICS_PREFIX +
+            '. Only metrics kept locally are shown here.';
+    } else {
+        status.textContent =
+            'Metrics are only kept on this device. Times are in ' +
+            'milliseconds, sizes in KB.';
+    }
+    const container = document.getElementById('metrics');
+    container.textContent = '';
+    const names = Object.keys(metrics).sort();
+    for (const name of names) {
+        container.appendChild(CreateHistogramSection(name, metrics[name]));
+    }
+    if (!names.length) {
+        container.textContent = 'Nothing has been recorded yet.';
+    }
+}
+
+function LoadMetrics() {
+    Promise.all([
+        LoadSettings(),
+        new Promise(function (resolve) {
+            chrome.storage.local.get(METRICS_STORAGE_KEY, function (items) {
+                resolve(items[METRICS_STORAGE_KEY] || {});
+            });
+        })
+    ]).then(function ([settings, metrics]) {
+        ShowMetrics(settings, metrics);
+    });
+}
+
+document.getElementById('reset-btn').onclick = function () {
+    chrome.storage.local.remove(METRICS_STORAGE_KEY, LoadMetrics);
+};
+
+LoadMetrics();
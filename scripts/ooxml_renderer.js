@@ -0,0 +1,658 @@
+/**
+ * Namespaces of the OOXML parts read by the renderer.
+ */
+const OOXML_NS = {
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    p: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    s: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+};
+
+// Spreadsheets can be huge; the preview shows their top left corner.
+const MAX_PREVIEW_ROWS = 1000;
+const MAX_PREVIEW_COLUMNS = 100;
+
+const IMAGE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+};
+
+/**
+ * Resolves a relationship target against the part that refers to it.
+ * @param {string} basePath Part path such as 'word/document.xml'.
+ * @param {string} target Relative target such as 'media/image1.png'.
+ * @return {string} Package path such as 'word/media/image1.png'.
+ */
+function ResolvePartPath(basePath, target) {
+    if (target.startsWith('/')) {
+        return target.substring(1);
+    }
+    const parts = basePath.split('/');
+    parts.pop();
+    for (const segment of target.split('/')) {
+        if (segment === '..') {
+            parts.pop();
+        } else if (segment !== '.') {
+            parts.push(segment);
+        }
+    }
+    return parts.join('/');
+}
+
+/**
+ * @param {!Element} parent
+ * @param {string} ns Namespace URI.
+ * @param {string} localName
+ * @return {!Array<!Element>} Direct children of |parent| with that name.
+ */
+function ChildElements(parent, ns, localName) {
+    return Array.from(parent.children).filter(
+        (child) => child.namespaceURI === ns && child.localName === localName
+    );
+}
+
+/**
+ * @param {string} ref Cell reference such as 'AB12'.
+ * @return {{row: number, column: number}} Zero based position.
+ */
+function ParseCellRef(ref) {
+    const match = /^([A-Z]+)(\d+)$/.exec(ref);
+    let column = 0;
+    for (const letter of match[1]) {
+        column = column * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return { row: parseInt(match[2], 10) - 1, column: column - 1 };
+}
+
+/**
+ * @param {number} column Zero based column index.
+ * @return {string} Column letters such as 'AB'.
+ */
+function GetColumnName(column) {
+    let name = '';
+    for (column++; column > 0; column = Math.floor((column - 1) / 26)) {
+        name = String.fromCharCode(65 + ((column - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// An OOXML package: a ZIP archive of XML parts tied together by
+// relationships.
+class OoxmlPackage {
+    /**
+     * @param {!ZipArchive} zip
+     */
+    constructor(zip) {
+        this.zip_ = zip;
+        this.parser_ = new DOMParser();
+    }
+
+    /**
+     * @param {!Uint8Array} bytes
+     * @return {!OoxmlPackage}
+     * @throws {Error} If |bytes| isn't a ZIP archive.
+     */
+    static open(bytes) {
+        return new OoxmlPackage(new ZipArchive(bytes));
+    }
+
+    /**
+     * @return {?string} 'docx', 'xlsx' or 'pptx', judged by the main part the
+     *     package contains, or null if it's none of them.
+     */
+    getFormat() {
+        if (this.zip_.has('word/document.xml')) {
+            return 'docx';
+        }
+        if (this.zip_.has('xl/workbook.xml')) {
+            return 'xlsx';
+        }
+        if (this.zip_.has('ppt/presentation.xml')) {
+            return 'pptx';
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} path
+     * @return {boolean}
+     */
+    has(path) {
+        return this.zip_.has(path);
+    }
+
+    /**
+     * @param {string} path
+     * @return {!Promise<!Document>}
+     */
+    readXml(path) {
+        return this.zip_
+            .readText(path)
+            .then((text) => this.parser_.parseFromString(text, 'application/xml'));
+    }
+
+    /**
+     * @param {string} partPath
+     * @return {!Promise<!Map<string, string>>} Relationship id to the package
+     *     path of its target. External targets are left out.
+     */
+    readRelationships(partPath) {
+        const slash = partPath.lastIndexOf('/');
+        const relsPath =
+            partPath.substring(0, slash + 1) +
+            '_rels/' +
+            partPath.substring(slash + 1) +
+            '.rels';
+        const relationships = new Map();
+        if (!this.zip_.has(relsPath)) {
+            return Promise.resolve(relationships);
+        }
+        return this.readXml(relsPath).then(function (xml) {
+            for (const rel of xml.getElementsByTagName('Relationship')) {
+                if (rel.getAttribute('TargetMode') === 'External') {
+                    continue;
+                }
+                relationships.set(
+                    rel.getAttribute('Id'),
+                    ResolvePartPath(partPath, rel.getAttribute('Target'))
+                );
+            }
+            return relationships;
+        });
+    }
+
+    /**
+     * @param {string} path Package path of an image part.
+     * @return {!Promise<?string>} An object URL for the image, or null if the
+     *     format can't be shown.
+     */
+    readImageUrl(path) {
+        const type = IMAGE_MIME_TYPES[GetUrlExtension(path).toLowerCase()];
+        if (!type || !this.zip_.has(path)) {
+            return Promise.resolve(null);
+        }
+        return this.zip_.read(path).then(function (bytes) {
+            return URL.createObjectURL(new Blob([bytes], { type: type }));
+        });
+    }
+}
+
+/**
+ * @param {!Element} paragraph A w:p element.
+ * @return {!Array<{text: string, bold: boolean, italic: boolean,
+ *     underline: boolean}>} The text runs of the paragraph.
+ */
+function ReadDocxRuns(paragraph) {
+    const w = OOXML_NS.w;
+    const runs = [];
+    for (const run of paragraph.getElementsByTagNameNS(w, 'r')) {
+        let text = '';
+        for (const child of run.children) {
+            if (child.namespaceURI !== w) {
+                continue;
+            }
+            if (child.localName === 't') {
+                text += child.textContent;
+            } else if (child.localName === 'tab') {
+                text += '\t';
+            } else if (child.localName === 'br' || child.localName === 'cr') {
+                text += '\n';
+            }
+        }
+        if (!text) {
+            continue;
+        }
+        const props = ChildElements(run, w, 'rPr')[0];
+        const isOn = function (name) {
+            const prop = props && ChildElements(props, w, name)[0];
+            if (!prop) {
+                return false;
+            }
+            const value = prop.getAttributeNS(w, 'val');
+            return value !== 'false' && value !== '0' && value !== 'none';
+        };
+        runs.push({
+            text: text,
+            bold: isOn('b'),
+            italic: isOn('i'),
+            underline: isOn('u')
+        });
+    }
+    return runs;
+}
+
+/**
+ * Reads the block level content of a Word document body or table cell.
+ * @param {!Element} parent w:body, w:tc or w:sdtContent.
+ * @param {!Map<string, string>} relationships Of word/document.xml.
+ * @return {!Array<!Object>} Blocks, each one of
+ *     {type: 'paragraph', style, list, runs, images},
+ *     {type: 'table', rows: Array<Array<Array<block>>>}.
+ */
+function ReadDocxBlocks(parent, relationships) {
+    const w = OOXML_NS.w;
+    const blocks = [];
+    for (const child of parent.children) {
+        if (child.namespaceURI !== w) {
+            continue;
+        }
+        if (child.localName === 'p') {
+            const props = ChildElements(child, w, 'pPr')[0];
+            const style = props && ChildElements(props, w, 'pStyle')[0];
+            const images = [];
+            for (const blip of child.getElementsByTagNameNS(OOXML_NS.a, 'blip')) {
+                const target = relationships.get(
+                    blip.getAttributeNS(OOXML_NS.r, 'embed')
+                );
+                if (target) {
+                    images.push(target);
+                }
+            }
+            blocks.push({
+                type: 'paragraph',
+                style: style ? style.getAttributeNS(w, 'val') : '',
+                list: !!(props && ChildElements(props, w, 'numPr').length),
+                runs: ReadDocxRuns(child),
+                images: images
+            });
+        } else if (child.localName === 'tbl') {
+            blocks.push({
+                type: 'table',
+                rows: ChildElements(child, w, 'tr').map((row) =>
+                    ChildElements(row, w, 'tc').map((cell) =>
+                        ReadDocxBlocks(cell, relationships)
+                    )
+                )
+            });
+        } else if (child.localName === 'sdt') {
+            for (const content of ChildElements(child, w, 'sdtContent')) {
+                blocks.push(...ReadDocxBlocks(content, relationships));
+            }
+        }
+    }
+    return blocks;
+}
+
+/**
+ * @param {!OoxmlPackage} pkg A Word package.
+ * @return {!Promise<!Array<!Object>>} See ReadDocxBlocks().
+ */
+function ReadDocx(pkg) {
+    const path = 'word/document.xml';
+    return Promise.all([pkg.readXml(path), pkg.readRelationships(path)]).then(
+        function ([xml, relationships]) {
+            const body = xml.getElementsByTagNameNS(OOXML_NS.w, 'body')[0];
+            return body ? ReadDocxBlocks(body, relationships) : [];
+        }
+    );
+}
+
+/**
+ * @param {!Element} element An element holding w:t / a:t style text runs.
+ * @param {string} ns Namespace of the |t| elements.
+ * @return {string} The concatenated text.
+ */
+function ReadTextElements(element, ns) {
+    return Array.from(element.getElementsByTagNameNS(ns, 't'))
+        .map((t) => t.textContent)
+        .join('');
+}
+
+/**
+ * @param {!OoxmlPackage} pkg An Excel package.
+ * @return {!Promise<!Array<{name: string, cells: !Map<string, string>,
+ *     rows: number, columns: number}>>} The sheets with their cell values,
+ *     keyed by cell reference.
+ */
+async function ReadXlsx(pkg) {
+    const s = OOXML_NS.s;
+    const workbookPath = 'xl/workbook.xml';
+    const [workbook, relationships] = await Promise.all([
+        pkg.readXml(workbookPath),
+        pkg.readRelationships(workbookPath)
+    ]);
+
+    const sharedStrings = [];
+    if (pkg.has('xl/sharedStrings.xml')) {
+        const xml = await pkg.readXml('xl/sharedStrings.xml');
+        for (const item of xml.getElementsByTagNameNS(s, 'si')) {
+            sharedStrings.push(ReadTextElements(item, s));
+        }
+    }
+
+    const sheets = [];
+    for (const sheet of workbook.getElementsByTagNameNS(s, 'sheet')) {
+        const path = relationships.get(sheet.getAttributeNS(OOXML_NS.r, 'id'));
+        if (!path || !pkg.has(path)) {
+            continue;
+        }
+        const xml = await pkg.readXml(path);
+        const cells = new Map();
+        let rows = 0;
+        let columns = 0;
+        for (const cell of xml.getElementsByTagNameNS(s, 'c')) {
+            const ref = cell.getAttribute('r');
+            if (!ref) {
+                continue;
+            }
+            const valueElement = ChildElements(cell, s, 'v')[0];
+            const raw = valueElement ? valueElement.textContent : '';
+            let value;
+            switch (cell.getAttribute('t')) {
+                case 's':
+                    value = sharedStrings[parseInt(raw, 10)] || '';
+                    break;
+                case 'inlineStr':
+                    value = ReadTextElements(cell, s);
+                    break;
+                case 'b':
+                    value = raw === '1' ? 'TRUE' : 'FALSE';
+                    break;
+                default:
+                    value = raw;
+            }
+            if (value === '') {
+                continue;
+            }
+            const position = ParseCellRef(ref);
+            cells.set(ref, value);
+            rows = Math.max(rows, position.row + 1);
+            columns = Math.max(columns, position.column + 1);
+        }
+        sheets.push({
+            name: sheet.getAttribute('name'),
+            cells: cells,
+            rows: rows,
+            columns: columns
+        });
+    }
+    return sheets;
+}
+
+/**
+ * @param {!OoxmlPackage} pkg A PowerPoint package.
+ * @return {!Promise<!Array<{title: string, paragraphs: !Array<string>,
+ *     images: !Array<string>}>>} The slides in presentation order, with the
+ *     package paths of their images.
+ */
+async function ReadPptx(pkg) {
+    const p = OOXML_NS.p;
+    const a = OOXML_NS.a;
+    const presentationPath = 'ppt/presentation.xml';
+    const [presentation, relationships] = await Promise.all([
+        pkg.readXml(presentationPath),
+        pkg.readRelationships(presentationPath)
+    ]);
+    const slides = [];
+    for (const slideId of presentation.getElementsByTagNameNS(p, 'sldId')) {
+        const path = relationships.get(
+            slideId.getAttributeNS(OOXML_NS.r, 'id')
+        );
+        if (!path || !pkg.has(path)) {
+            continue;
+        }
+        const [xml, slideRelationships] = await Promise.all([
+            pkg.readXml(path),
+            pkg.readRelationships(path)
+        ]);
+        const slide = { title: '', paragraphs: [], images: [] };
+        for (const shape of xml.getElementsByTagNameNS(p, 'sp')) {
+            const placeholder = shape.getElementsByTagNameNS(p, 'ph')[0];
+            const type = placeholder ? placeholder.getAttribute('type') : '';
+            const paragraphs = Array.from(shape.getElementsByTagNameNS(a, 'p'))
+                .map((paragraph) => ReadTextElements(paragraph, a))
+                .filter((text) => text.trim().length > 0);
+            if ((type === 'title' || type === 'ctrTitle') && !slide.title) {
+                slide.title = paragraphs.join(' ');
+            } else {
+                slide.paragraphs.push(...paragraphs);
+            }
+        }
+        for (const picture of xml.getElementsByTagNameNS(p, 'pic')) {
+            const blip = picture.getElementsByTagNameNS(a, 'blip')[0];
+            const target =
+                blip &&
+                slideRelationships.get(blip.getAttributeNS(OOXML_NS.r, 'embed'));
+            if (target) {
+                slide.images.push(target);
+            }
+        }
+        slides.push(slide);
+    }
+    return slides;
+}
+
+/**
+ * @param {string} tagName
+ * @param {string=} className
+ * @param {string=} text
+ * @return {!Element}
+ */
+function CreateElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) {
+        element.className = className;
+    }
+    if (text) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * @param {!OoxmlPackage} pkg
+ * @param {string} path Package path of an image.
+ * @return {!Promise<?Element>} An img element, or null if the image can't
+ *     be shown.
+ */
+function CreatePreviewImage(pkg, path) {
+    return pkg.readImageUrl(path).then(function (url) {
+        if (!url) {
+            return null;
+        }
+        const img = CreateElement('img', 'preview-image');
+        img.src = url;
+        return img;
+    });
+}
+
+/**
+ * @param {!Object} block A paragraph block, see ReadDocxBlocks().
+ * @return {string} 'h1' to 'h6' for headings and titles, 'p' otherwise.
+ */
+function GetDocxBlockTagName(block) {
+    const heading = /^(?:heading\s*([1-6])|title)$/i.exec(block.style);
+    return heading ? 'h' + (heading[1] || '1') : 'p';
+}
+
+/**
+ * @param {!OoxmlPackage} pkg
+ * @param {!Array<!Object>} blocks See ReadDocxBlocks().
+ * @param {!Element} container
+ */
+async function RenderDocxBlocks(pkg, blocks, container) {
+    for (const block of blocks) {
+        if (block.type === 'table') {
+            const table = CreateElement('table', 'preview-table');
+            for (const row of block.rows) {
+                const tr = table.insertRow();
+                for (const cell of row) {
+                    await RenderDocxBlocks(pkg, cell, tr.insertCell());
+                }
+            }
+            container.appendChild(table);
+            continue;
+        }
+        const element = CreateElement(
+            GetDocxBlockTagName(block),
+            block.list ? 'preview-list-item' : ''
+        );
+        for (const run of block.runs) {
+            let node = document.createTextNode(run.text);
+            for (const [on, tag] of [
+                [run.bold, 'b'],
+                [run.italic, 'i'],
+                [run.underline, 'u']
+            ]) {
+                if (on) {
+                    const wrapper = document.createElement(tag);
+                    wrapper.appendChild(node);
+                    node = wrapper;
+                }
+            }
+            element.appendChild(node);
+        }
+        for (const path of block.images) {
+            const img = await CreatePreviewImage(pkg, path);
+            if (img) {
+                element.appendChild(img);
+            }
+        }
+        container.appendChild(element);
+    }
+}
+
+/**
+ * @param {!OoxmlPackage} pkg
+ * @param {!Element} container
+ */
+async function RenderDocx(pkg, container) {
+    const page = CreateElement('div', 'preview-page');
+    await RenderDocxBlocks(pkg, await ReadDocx(pkg), page);
+    container.appendChild(page);
+}
+
+/**
+ * @param {!Object} sheet See ReadXlsx().
+ * @return {!Element} A table showing the top left of the sheet.
+ */
+function CreateSheetGrid(sheet) {
+    const rows = Math.min(sheet.rows, MAX_PREVIEW_ROWS);
+    const columns = Math.min(sheet.columns, MAX_PREVIEW_COLUMNS);
+    const table = CreateElement('table', 'preview-grid');
+    const header = table.createTHead().insertRow();
+    header.appendChild(CreateElement('th'));
+    for (let column = 0; column < columns; column++) {
+        header.appendChild(CreateElement('th', '', GetColumnName(column)));
+    }
+    const body = table.createTBody();
+    for (let row = 0; row < rows; row++) {
+        const tr = body.insertRow();
+        tr.appendChild(CreateElement('th', '', String(row + 1)));
+        for (let column = 0; column < columns; column++) {
+            tr.insertCell().textContent =
+                sheet.cells.get(GetColumnName(column) + (row + 1)) || '';
+        }
+    }
+    return table;
+}
+
+/**
+ * @param {!OoxmlPackage} pkg
+ * @param {!Element} container
+ */
+async function RenderXlsx(pkg, container) {
+    const sheets = await ReadXlsx(pkg);
+    const tabs = CreateElement('div', 'preview-sheet-tabs');
+    const grid = CreateElement('div', 'preview-sheet');
+    const note = CreateElement('div', 'preview-note');
+    const showSheet = function (index) {
+        const sheet = sheets[index];
+        grid.textContent = '';
+        grid.appendChild(CreateSheetGrid(sheet));
+        note.textContent =
+            sheet.rows > MAX_PREVIEW_ROWS || sheet.columns > MAX_PREVIEW_COLUMNS
+                ? 'Showing the first ' +
+                  MAX_PREVIEW_ROWS +
+                  ' rows and ' +
+                  MAX_PREVIEW_COLUMNS +
+                  ' columns.'
+                : '';
+        Array.from(tabs.children).forEach(function (tab, i) {
+            tab.classList.toggle('selected', i === index);
+        });
+    };
+    sheets.forEach(function (sheet, index) {
+        const tab = CreateElement('button', 'preview-sheet-tab', sheet.name);
+        tab.onclick = function () {
+            showSheet(index);
+        };
+        tabs.appendChild(tab);
+    });
+    container.appendChild(grid);
+    container.appendChild(note);
+    container.appendChild(tabs);
+    if (sheets.length) {
+        showSheet(0);
+    }
+}
+
+/**
+ * @param {!OoxmlPackage} pkg
+ * @param {!Element} container
+ */
+async function RenderPptx(pkg, container) {
+    const slides = await ReadPptx(pkg);
+    for (let i = 0; i < slides.length; i++) {
+        const slide = slides[i];
+        const element = CreateElement('div', 'preview-slide');
+        element.appendChild(
+            CreateElement('div', 'preview-slide-number', 'Slide ' + (i + 1))
+        );
+        if (slide.title) {
+            element.appendChild(CreateElement('h2', '', slide.title));
+        }
+        for (const text of slide.paragraphs) {
+            element.appendChild(CreateElement('p', '', text));
+        }
+        for (const path of slide.images) {
+            const img = await CreatePreviewImage(pkg, path);
+            if (img) {
+                element.appendChild(img);
+            }
+        }
+        container.appendChild(element);
+    }
+}
+
+/**
+ * Renders a read-only preview of a Word, Excel or PowerPoint document without
+ * sending it anywhere.
+ * @param {!Uint8Array} bytes The document content.
+ * @param {!Element} container Element to render into; its content is
+ *     replaced.
+ * @return {!Promise}
+ * @throws {Error} Through the promise, if the document isn't an OOXML
+ *     package, e.g. a legacy binary .doc file.
+ */
+async function RenderOfficePreview(bytes, container) {
+    if (!ZipArchive.isZip(bytes)) {
+        throw new Error(
+            'Only Word, Excel and PowerPoint 2007 or later documents can be ' +
+                'previewed offline.'
+        );
+    }
+    const pkg = OoxmlPackage.open(bytes);
+    const preview = CreateElement('div', 'preview');
+    switch (pkg.getFormat()) {
+        case 'docx':
+            await RenderDocx(pkg, preview);
+            break;
+        case 'xlsx':
+            await RenderXlsx(pkg, preview);
+            break;
+        case 'pptx':
+            await RenderPptx(pkg, preview);
+            break;
+        default:
+            throw new Error('The document is not a Word, Excel or PowerPoint file.');
+    }
+    container.textContent = '';
+    container.appendChild(preview);
+}
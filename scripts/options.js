@@ -0,0 +1,420 @@
+const ACTION_LABELS = {
+    viewer: 'Open in the web viewer',
+    desktop: 'Open in the desktop app',
+    pdf: 'Convert to PDF',
+    download: 'Download',
+    local: 'Preview offline in the browser'
+};
+
+const CUSTOM_ENDPOINT = 'custom';
+
+// Controls of the settings an administrator can set by policy, besides the
+// default actions. See MANAGED_SETTINGS; the sign-in client and tenant are
+// applied by GetManagedAuthConfig() instead.
+const MANAGED_CONTROLS = {
+    viewerEndpoint: ['viewer-endpoint', 'custom-endpoint'],
+    conversionEndpoint: ['conversion-endpoint'],
+    allowLocalUpload: ['allow-local-upload'],
+    privacyMode: ['privacy-mode'],
+    siteAllowList: ['site-allow-list'],
+    siteDenyList: ['site-deny-list'],
+    clientId: ['sign-in-client-id'],
+    tenantId: ['sign-in-authority']
+};
+
+// The policy in effect, and the user's own settings, which are saved in
+// place of the values the policy sets.
+let managedPolicy_ = {};
+let userSettings_ = null;
+
+/**
+ * @param {!HTMLSelectElement} select
+ * @param {!Array<{value: string, label: string}>} options
+ */
+function FillSelect(select, options) {
+    for (const option of options) {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        select.appendChild(element);
+    }
+}
+
+/**
+ * @param {string} text One entry per line.
+ * @return {!Array<string>} The non-empty lines, trimmed.
+ */
+function ParseLines(text) {
+    return text
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0);
+}
+
+/**
+ * @param {string} text
+ * @return {!Array<!Object>} The routing rules in |text|.
+ * @throws {Error} If |text| isn't a valid list of rules.
+ */
+function ParseRoutingRules(text) {
+    if (!text.trim()) {
+        return [];
+    }
+    const rules = JSON.parse(text);
+    if (!Array.isArray(rules)) {
+        throw new Error('Routing rules must be a list.');
+    }
+    const actions = Object.keys(ACTION_LABELS);
+    rules.forEach(function (rule, i) {
+        if (!rule || actions.indexOf(rule.action) === -1) {
+            throw new Error(
+                'Rule ' + (i + 1) + ' needs an action: ' + actions.join(', ')
+            );
+        }
+    });
+    return rules;
+}
+
+/**
+ * @param {string} url
+ * @return {boolean} Whether |url| is https, or http on this machine, which is
+ *     only good for a mock server.
+ */
+function IsServiceUrl(url) {
+    return /^(https:\/\/|http:\/\/localhost[:/])/.test(url);
+}
+
+/**
+ * Asks for access to the hosts of |pattern|. Must be called from a user
+ * gesture.
+ * @param {string} pattern A match pattern.
+ * @return {!Promise<boolean>} Whether access was granted.
+ */
+function RequestHostAccess(pattern) {
+    return new Promise(function (resolve) {
+        chrome.permissions.request({ origins: [pattern] }, resolve);
+    });
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function ShowStatus(message, isError) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = isError ? 'error' : '';
+}
+
+function UpdateCustomEndpointRow() {
+    document.getElementById('custom-endpoint-row').hidden =
+        document.getElementById('viewer-endpoint').value !== CUSTOM_ENDPOINT;
+}
+
+function UpdateRetentionDaysRow() {
+    document.getElementById('upload-retention-days-row').hidden =
+        document.getElementById('upload-retention').value !== 'days';
+}
+
+/**
+ * @param {!Object} settings
+ */
+function ShowSettings(settings) {
+    for (const select of document.querySelectorAll('.default-action')) {
+        select.value = settings.defaultActions[select.dataset.kind];
+    }
+    const endpoint = document.getElementById('viewer-endpoint');
+    if (VIEWER_ENDPOINTS.indexOf(settings.viewerEndpoint) !== -1) {
+        endpoint.value = settings.viewerEndpoint;
+    } else {
+        endpoint.value = CUSTOM_ENDPOINT;
+        document.getElementById('custom-endpoint').value =
+            settings.viewerEndpoint;
+    }
+    UpdateCustomEndpointRow();
+    document.getElementById('conversion-endpoint').value =
+        settings.conversionEndpoint;
+    document.getElementById('site-allow-list').value =
+        settings.siteAllowList.join('\n');
+    document.getElementById('site-deny-list').value =
+        settings.siteDenyList.join('\n');
+    document.getElementById('privacy-mode').checked = settings.privacyMode;
+    document.getElementById('allow-local-upload').checked =
+        settings.allowLocalUpload;
+    document.getElementById('sign-in-client-id').value =
+        settings.signInClientId;
+    document.getElementById('sign-in-authority').value =
+        settings.signInAuthority;
+    document.getElementById('upload-folder').value = settings.uploadFolder;
+    document.getElementById('upload-retention').value =
+        settings.uploadRetention;
+    document.getElementById('upload-retention-days').value =
+        settings.uploadRetentionDays;
+    UpdateRetentionDaysRow();
+    document.getElementById('private-site-list').value =
+        settings.privateSiteList.join('\n');
+    document.getElementById('public-site-list').value =
+        settings.publicSiteList.join('\n');
+    document.getElementById('history-size').value = settings.historySize;
+    document.getElementById('incognito-history').checked =
+        settings.incognitoHistory;
+    document.getElementById('usage-metrics').checked = settings.usageMetrics;
+    document.getElementById('routing-rules').value = settings.routingRules
+        .length
+        ? JSON.stringify(settings.routingRules, null, 2)
+        : '';
+}
+
+/**
+ * @return {!Object} The settings entered on the page.
+ * @throws {Error} If an entry is invalid.
+ */
+function ReadSettings() {
+    const defaultActions = {};
+    for (const select of document.querySelectorAll('.default-action')) {
+        defaultActions[select.dataset.kind] = select.value;
+    }
+    let viewerEndpoint = document.getElementById('viewer-endpoint').value;
+    if (viewerEndpoint === CUSTOM_ENDPOINT) {
+        viewerEndpoint = document.getElementById('custom-endpoint').value.trim();
+        if (viewerEndpoint.indexOf('https://') !== 0) {
+            throw new Error('The custom viewer endpoint must be an https URL.');
+        }
+    }
+    const conversionEndpoint = document
+        .getElementById('conversion-endpoint')
+        .value.trim();
+    if (!IsServiceUrl(conversionEndpoint)) {
+        throw new Error('The PDF conversion endpoint must be an https URL.');
+    }
+    const signInAuthority = document
+        .getElementById('sign-in-authority')
+        .value.trim();
+    if (!IsServiceUrl(signInAuthority)) {
+        throw new Error('The sign-in authority must be an https URL.');
+    }
+    const retentionDays = Number(
+        document.getElementById('upload-retention-days').value
+    );
+    if (
+        !Number.isInteger(retentionDays) ||
+        retentionDays < 1 ||
+        retentionDays > 365
+    ) {
+        throw new Error('Keep uploaded copies for 1 to 365 days.');
+    }
+    const historySize = Number(document.getElementById('history-size').value);
+    if (
+        !Number.isInteger(historySize) ||
+        historySize < 0 ||
+        historySize > 500
+    ) {
+        throw new Error('Keep between 0 and 500 recent documents.');
+    }
+    return {
+        defaultActions: defaultActions,
+        viewerEndpoint: viewerEndpoint,
+        conversionEndpoint: conversionEndpoint,
+        siteAllowList: ParseLines(
+            document.getElementById('site-allow-list').value
+        ),
+        siteDenyList: ParseLines(document.getElementById('site-deny-list').value),
+        privacyMode: document.getElementById('privacy-mode').checked,
+        allowLocalUpload: document.getElementById('allow-local-upload').checked,
+        signInClientId: document
+            .getElementById('sign-in-client-id')
+            .value.trim(),
+        signInAuthority: signInAuthority,
+        uploadFolder: document.getElementById('upload-folder').value.trim(),
+        uploadRetention: document.getElementById('upload-retention').value,
+        uploadRetentionDays: retentionDays,
+        privateSiteList: ParseLines(
+            document.getElementById('private-site-list').value
+        ),
+        publicSiteList: ParseLines(
+            document.getElementById('public-site-list').value
+        ),
+        historySize: historySize,
+        incognitoHistory: document.getElementById('incognito-history').checked,
+        usageMetrics: document.getElementById('usage-metrics').checked,
+        routingRules: ParseRoutingRules(
+            document.getElementById('routing-rules').value
+        )
+    };
+}
+
+/**
+ * Disables a control whose setting the policy sets, and marks it as managed.
+ * @param {!Element} control
+ */
+function LockControl(control) {
+    control.disabled = true;
+    control.title = 'Set by your organization';
+    const label = control.closest('.row').querySelector('label');
+    if (!label.querySelector('.managed-badge')) {
+        const badge = document.createElement('span');
+        badge.className = 'managed-badge';
+        badge.textContent = 'Managed';
+        label.appendChild(badge);
+    }
+}
+
+/**
+ * Undoes LockControl().
+ * @param {!Element} control
+ */
+function UnlockControl(control) {
+    control.disabled = false;
+    control.title = '';
+    const badge = control.closest('.row').querySelector('.managed-badge');
+    if (badge) {
+        badge.remove();
+    }
+}
+
+/**
+ * Locks the controls of the settings |policy| sets, and unlocks the others.
+ * @param {!Object} policy See LoadManagedPolicy().
+ */
+function LockManagedSettings(policy) {
+    let locked = false;
+    for (const key in MANAGED_CONTROLS) {
+        const isManaged = policy[key] !== undefined;
+        for (const id of MANAGED_CONTROLS[key]) {
+            const control = document.getElementById(id);
+            if (isManaged) {
+                LockControl(control);
+            } else {
+                UnlockControl(control);
+            }
+        }
+        locked = locked || isManaged;
+    }
+    const defaultActions = policy.defaultActions || {};
+    for (const select of document.querySelectorAll('.default-action')) {
+        if (defaultActions[select.dataset.kind] !== undefined) {
+            LockControl(select);
+            locked = true;
+        } else {
+            UnlockControl(select);
+        }
+    }
+    document.getElementById('managed-notice').hidden = !locked;
+}
+
+/**
+ * Shows the user's settings with |policy| applied, and locks what it sets.
+ * @param {!Object} policy See LoadManagedPolicy().
+ */
+function ShowManagedSettings(policy) {
+    managedPolicy_ = policy;
+    const settings = ApplyManagedPolicy(userSettings_, policy);
+    // The sign-in client and tenant aren't settings of their own, see
+    // GetManagedAuthConfig(); show the ones sign-in uses.
+    const authConfig = GetManagedAuthConfig(
+        GetUserAuthConfig(AUTH_CONFIG, settings),
+        policy
+    );
+    if (policy.clientId) {
+        settings.signInClientId = authConfig.clientId;
+    }
+    if (policy.tenantId) {
+        settings.signInAuthority = authConfig.authority;
+    }
+    ShowSettings(settings);
+    LockManagedSettings(policy);
+}
+
+/**
+ * @param {!Object} settings The settings entered on the page.
+ * @return {!Object} |settings| with the user's own values in place of the
+ *     ones the policy sets, so that the user's are back if the policy is
+ *     lifted.
+ */
+function KeepUserValues(settings) {
+    for (const key of MANAGED_SETTINGS) {
+        const value = managedPolicy_[key];
+        if (value === undefined) {
+            continue;
+        }
+        if (key !== 'defaultActions') {
+            settings[key] = userSettings_[key];
+            continue;
+        }
+        for (const kind in settings.defaultActions) {
+            if (value[kind] !== undefined) {
+                settings.defaultActions[kind] =
+                    userSettings_.defaultActions[kind];
+            }
+        }
+    }
+    if (managedPolicy_.clientId) {
+        settings.signInClientId = userSettings_.signInClientId;
+    }
+    if (managedPolicy_.tenantId) {
+        settings.signInAuthority = userSettings_.signInAuthority;
+    }
+    return settings;
+}
+
+const actionOptions = Object.keys(ACTION_LABELS).map((action) => ({
+    value: action,
+    label: ACTION_LABELS[action]
+}));
+for (const select of document.querySelectorAll('.default-action')) {
+    FillSelect(select, actionOptions);
+}
+FillSelect(
+    document.getElementById('viewer-endpoint'),
+    VIEWER_ENDPOINTS.map((endpoint) => ({ value: endpoint, label: endpoint }))
+        .concat([{ value: CUSTOM_ENDPOINT, label: 'Custom...' }])
+);
+document.getElementById('viewer-endpoint').onchange = UpdateCustomEndpointRow;
+document.getElementById('upload-retention').onchange = UpdateRetentionDaysRow;
+document.getElementById('redirect-uri').textContent =
+    chrome.identity.getRedirectURL('oauth2');
+
+document.getElementById('save-btn').onclick = function () {
+    let settings;
+    try {
+        settings = KeepUserValues(ReadSettings());
+    } catch (error) {
+        ShowStatus(error.message, true);
+        return;
+    }
+    // The access has to be asked for while handling the click.
+    const conversionHosts = GetConversionHostPattern(
+        ApplyManagedPolicy(settings, managedPolicy_).conversionEndpoint
+    );
+    Promise.all([
+        SaveSettings(settings),
+        RequestHostAccess(conversionHosts)
+    ]).then(function ([, granted]) {
+        userSettings_ = settings;
+        if (granted) {
+            ShowStatus('Saved.', false);
+        } else {
+            ShowStatus(
+                'Saved, but PDF conversion needs access to ' +
+                    conversionHosts +
+                    ' to work.',
+                true
+            );
+        }
+    });
+};
+
+Promise.all([LoadUserSettings(), LoadManagedPolicy()]).then(function ([
+    settings,
+    policy
+]) {
+    userSettings_ = settings;
+    ShowManagedSettings(policy);
+});
+
+// The administrator may change the policy while the page is open.
+chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'managed' && userSettings_) {
+        LoadManagedPolicy().then(ShowManagedSettings);
+    }
+});
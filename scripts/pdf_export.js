@@ -0,0 +1,234 @@
+const PDF_EXPORT_MAX_RETRIES = 3;
+const PDF_EXPORT_BACKOFF_MS = 2000;
+
+const PDF_CACHE_DB = 'pdfCache';
+const PDF_CACHE_STORE = 'pdfs';
+// Oldest cached conversions are evicted beyond this many.
+const PDF_CACHE_MAX_ENTRIES = 50;
+
+// What the user is told for each HTTP status of a failed conversion. What the
+// service answered only goes to the diagnostics log.
+const PDF_EXPORT_MESSAGES = {
+    0: 'The conversion service could not be reached. Check your connection.',
+    401: 'The conversion service is not allowed to read this document.',
+    403: 'The conversion service is not allowed to read this document.',
+    404: 'The conversion service could not find this document.',
+    413: 'This document is too large to convert.',
+    415: 'The conversion service cannot convert this type of document.',
+    429: 'The conversion service is busy. Try again later.',
+    503: 'The conversion service is busy. Try again later.'
+};
+
+/**
+ * @param {number} status HTTP status, or 0 if the service wasn't reached.
+ * @return {string} What to tell the user about the failed conversion.
+ */
+function GetPdfExportMessage(status) {
+    if (PDF_EXPORT_MESSAGES[status]) {
+        return PDF_EXPORT_MESSAGES[status];
+    }
+    return status >= 500
+        ? 'The conversion service failed. Try again later.'
+        : 'The conversion service could not convert this document.';
+}
+
+/**
+ * Error for a failed PDF conversion. Its message depends on the status only.
+ */
+class PdfExportError extends ViewerError {
+    /**
+     * @param {number} status HTTP status, or 0 if the service wasn't reached.
+     * @param {boolean} retriable What the service said in X-IsRetriable.
+     * @param {string} correlationId Sent with the failed request.
+     * @param {string} details What the service answered, or why it couldn't
+     *     be reached. Only kept in the diagnostics log.
+     */
+    constructor(status, retriable, correlationId, details) {
+        super(ErrorCode.CONVERSION_FAILED, GetPdfExportMessage(status), {
+            status: status,
+            retriable: retriable,
+            correlationId: correlationId,
+            details: details
+        });
+        this.name = 'PdfExportError';
+    }
+}
+
+/**
+ * @return {!Promise<!IDBDatabase>}
+ */
+function OpenPdfCache() {
+    return new Promise(function (resolve, reject) {
+        const request = indexedDB.open(PDF_CACHE_DB, 1);
+        request.onupgradeneeded = function () {
+            const store = request.result.createObjectStore(PDF_CACHE_STORE);
+            store.createIndex('cachedAt', 'cachedAt');
+        };
+        request.onsuccess = function () {
+            resolve(request.result);
+        };
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * @param {!IDBRequest|!IDBTransaction} request
+ * @return {!Promise} Settles when |request| completes.
+ */
+function WaitForIdbRequest(request) {
+    return new Promise(function (resolve, reject) {
+        if (request instanceof IDBTransaction) {
+            request.oncomplete = () => resolve();
+        } else {
+            request.onsuccess = () => resolve(request.result);
+        }
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {string} key
+ * @return {!Promise<?Blob>} The cached PDF, if any.
+ */
+function GetCachedPdf(key) {
+    return OpenPdfCache().then(function (db) {
+        const store = db
+            .transaction(PDF_CACHE_STORE)
+            .objectStore(PDF_CACHE_STORE);
+        return WaitForIdbRequest(store.get(key)).then(function (entry) {
+            db.close();
+            return entry ? entry.pdf : null;
+        });
+    });
+}
+
+/**
+ * Stores a converted PDF, evicting the oldest entries over the limit.
+ * @param {string} key
+ * @param {!Blob} pdf
+ * @return {!Promise}
+ */
+function PutCachedPdf(key, pdf) {
+    return OpenPdfCache().then(function (db) {
+        const transaction = db.transaction(PDF_CACHE_STORE, 'readwrite');
+        const store = transaction.objectStore(PDF_CACHE_STORE);
+        store.put({ pdf: pdf, cachedAt: Date.now() }, key);
+        const count = store.count();
+        count.onsuccess = function () {
+            let excess = count.result - PDF_CACHE_MAX_ENTRIES;
+            if (excess <= 0) {
+                return;
+            }
+            store.index('cachedAt').openKeyCursor().onsuccess = function (
+                event
+            ) {
+                const cursor = event.target.result;
+                if (cursor && excess-- > 0) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        };
+        return WaitForIdbRequest(transaction).then(() => db.close());
+    });
+}
+
+/**
+ * @param {!Object} streamInfo
+ * @return {?string} Cache key for the document, or null if the server sent
+ *     nothing that identifies its version.
+ */
+function GetPdfCacheKey(streamInfo) {
+    const version =
+        GetResponseHeader(streamInfo, 'etag') ||
+        GetResponseHeader(streamInfo, 'last-modified');
+    return version ? streamInfo.originalUrl + '\n' + version : null;
+}
+
+/**
+ * @param {string} endpoint Export endpoint; '{prefix}' is replaced with the
+ *     host prefix of the document's app, e.g. 'wordcs'.
+ * @param {!Object} streamInfo
+ * @return {string} The export URL for the document.
+ */
+function GetPdfExportUrl(endpoint, streamInfo) {
+    const extension =
+        streamInfo.extension || GetUrlExtension(streamInfo.originalUrl);
+    const fileType = GetFileType(streamInfo.mimeType || '', extension);
+    const url = new URL(
+        endpoint.replace('{prefix}', fileType ? fileType.urlPrefix : '')
+    );
+    url.searchParams.set('url', streamInfo.originalUrl);
+    url.searchParams.set('input', extension);
+    return url.toString();
+}
+
+/**
+ * Asks the conversion service for a PDF of the document, retrying for as long
+ * as the service marks failures as retriable.
+ * @param {string} exportUrl
+ * @return {!Promise<!Blob>}
+ */
+async function RequestPdfExport(exportUrl) {
+    for (let attempt = 0; ; attempt++) {
+        // Every request gets its own ID so that failures can be traced in
+        // the service logs.
+        const correlationId = CreateCorrelationId();
+        let response;
+        try {
+            response = await fetch(exportUrl, {
+                headers: {
+                    'X-ClientCorrelationId': correlationId,
+                    'X-PassThroughDownloadHeaders': '',
+                    'X-ClientName': 'EdgeTeam'
+                }
+            });
+        } catch (error) {
+            throw new PdfExportError(0, true, correlationId, error.message);
+        }
+        if (response.ok) {
+            return response
+                .arrayBuffer()
+                .then((buffer) => new Blob([buffer], { type: 'application/pdf' }));
+        }
+        const retriable =
+            (response.headers.get('X-IsRetriable') || '').toLowerCase() ===
+            'true';
+        if (!retriable || attempt >= PDF_EXPORT_MAX_RETRIES) {
+            throw new PdfExportError(
+                response.status,
+                retriable,
+                correlationId,
+                await response.text().catch(() => '')
+            );
+        }
+        await Sleep(PDF_EXPORT_BACKOFF_MS * Math.pow(2, attempt));
+    }
+}
+
+/**
+ * Converts a document to PDF, using the cached conversion of the same
+ * version of the document if there is one.
+ * @param {!Object} streamInfo
+ * @param {string} endpoint See GetPdfExportUrl().
+ * @return {!Promise<!Blob>}
+ */
+async function ConvertDocumentToPdf(streamInfo, endpoint) {
+    const key = GetPdfCacheKey(streamInfo);
+    if (key) {
+        const cached = await GetCachedPdf(key).catch(() => null);
+        if (cached) {
+            return cached;
+        }
+    }
+    const start = performance.now();
+    const pdf = await RequestPdfExport(GetPdfExportUrl(endpoint, streamInfo));
+    RecordTimeMetric(Metric.CONVERSION_LATENCY, performance.now() - start);
+    if (key) {
+        // The next conversion of the document simply isn't cached then.
+        PutCachedPdf(key, pdf).catch(function () {});
+    }
+    return pdf;
+}
@@ -0,0 +1,106 @@
+// How long the anonymous probe of a document may take before the document is
+// taken to be public, so that a slow server doesn't hold up the viewer.
+const REACHABILITY_PROBE_TIMEOUT_MS = 3000;
+
+// Top-level domains that are only used inside private networks.
+const INTRANET_TLDS = ['local', 'localhost', 'internal', 'intranet', 'corp', 'lan', 'home'];
+
+/**
+ * @param {string} hostname
+ * @return {boolean} Whether |hostname| can only be reached from inside the
+ *     user's network: single-label names, private TLDs, and loopback, private
+ *     and link-local addresses.
+ */
+function IsIntranetHostname(hostname) {
+    hostname = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (!hostname) {
+        return false;
+    }
+    if (hostname.indexOf(':') !== -1) {
+        // IPv6: loopback, unique local (fc00::/7) and link-local (fe80::/10).
+        return /^(::1$|f[cd]|fe[89ab])/.test(hostname);
+    }
+    const ipv4 = /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(hostname);
+    if (ipv4) {
+        const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+        return (
+            a === 10 ||
+            a === 127 ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 169 && b === 254) ||
+            (a === 100 && b >= 64 && b <= 127)
+        );
+    }
+    const labels = hostname.split('.');
+    return (
+        labels.length === 1 ||
+        INTRANET_TLDS.indexOf(labels[labels.length - 1]) !== -1
+    );
+}
+
+/**
+ * Guesses whether the online services can fetch a document by its URL, which
+ * they do without the user's cookies and from outside the user's network.
+ *
+ * The per-site lists in the settings decide first. Otherwise intranet hosts
+ * are private, and the rest are probed without credentials: a failed request
+ * or a redirect means the document is private. The browser has already
+ * followed any redirects to reach |url|, so one here usually leads to a
+ * sign-in page. Without host permissions the probe can't see the status of
+ * the response, so a server that answers anonymous requests with an error
+ * page in place is still taken as public.
+ *
+ * @param {string} url
+ * @param {!Object} settings See DEFAULT_SETTINGS.
+ * @return {!Promise<{isPublic: boolean, reason: string}>} |reason| says why
+ *     a document is private, for the notice shown to the user.
+ */
+async function CheckDocumentReachability(url, settings) {
+    if (SiteListMatches(url, settings.publicSiteList)) {
+        return { isPublic: true, reason: '' };
+    }
+    if (SiteListMatches(url, settings.privateSiteList)) {
+        return {
+            isPublic: false,
+            reason: 'its site is listed as private in the options'
+        };
+    }
+    const hostname = GetUrlHostname(url);
+    if (IsIntranetHostname(hostname)) {
+        return { isPublic: false, reason: hostname + ' is an intranet address' };
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(
+        () => controller.abort(),
+        REACHABILITY_PROBE_TIMEOUT_MS
+    );
+    try {
+        const response = await fetch(url, {
+            method: 'HEAD',
+            mode: 'no-cors',
+            credentials: 'omit',
+            redirect: 'manual',
+            cache: 'no-store',
+            signal: controller.signal
+        });
+        if (response.type === 'opaqueredirect') {
+            return {
+                isPublic: false,
+                reason: 'the site asks to sign in before sending it'
+            };
+        }
+        return { isPublic: true, reason: '' };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return { isPublic: true, reason: '' };
+        }
+        return {
+            isPublic: false,
+            reason: "it can't be fetched without your sign-in"
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * What to do with a document.
+ * @enum {string}
+ */
+const RouteAction = {
+    // Show it in the Office web viewer inside the tab.
+    VIEWER: 'viewer',
+    // Hand it to the desktop app through its ms-*:ofe|u| protocol handler.
+    DESKTOP: 'desktop',
+    // Convert it to PDF and show that.
+    PDF: 'pdf',
+    // Leave it to the browser's download manager.
+    DOWNLOAD: 'download',
+    // Render a read-only preview in the tab without any online service.
+    LOCAL: 'local'
+};
+
+/**
+ * Rules that apply after the user's own ones. The web viewer refuses very
+ * large files, so those are downloaded instead.
+ */
+const DEFAULT_ROUTING_RULES = [
+    { minSize: 100 * 1024 * 1024, action: RouteAction.DOWNLOAD }
+];
+
+/**
+ * @param {string} url
+ * @return {string} The host name of |url|, or '' if it has none.
+ */
+function GetUrlHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * @param {string} pattern A domain such as 'contoso.com', which also matches
+ *     its subdomains, optionally written as '*.contoso.com'.
+ * @param {string} hostname
+ * @return {boolean}
+ */
+function DomainMatches(pattern, hostname) {
+    const domain = pattern.trim().toLowerCase().replace(/^\*\./, '');
+    return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+/**
+ * Checks a single routing rule against a document. A rule is an object with
+ * an |action| and any of the conditions below; conditions that are left out
+ * match every document.
+ *   domain:    domain of the document URL, see DomainMatches().
+ *   extension: file extension, or list of extensions, without the dot.
+ *   mimeType:  MIME type, or list of MIME types. A trailing '*' matches any
+ *              MIME type with that prefix.
+ *   minSize:   smallest size in bytes, inclusive.
+ *   maxSize:   largest size in bytes, inclusive.
+ *
+ * @param {!Object} rule
+ * @param {!Object} doc The document as {url, extension, mimeType, size}.
+ *     |size| is -1 when unknown, in which case size conditions don't match.
+ * @return {boolean}
+ */
+function RuleMatches(rule, doc) {
+    if (rule.domain && !DomainMatches(rule.domain, GetUrlHostname(doc.url))) {
+        return false;
+    }
+    if (rule.extension) {
+        const extensions = [].concat(rule.extension).map((e) =>
+            e.toLowerCase().replace(/^\./, '')
+        );
+        if (extensions.indexOf((doc.extension || '').toLowerCase()) === -1) {
+            return false;
+        }
+    }
+    if (rule.mimeType) {
+        const mimeType = (doc.mimeType || '').toLowerCase();
+        const matched = [].concat(rule.mimeType).some(function (pattern) {
+            pattern = pattern.toLowerCase();
+            return pattern.endsWith('*')
+                ? mimeType.startsWith(pattern.slice(0, -1))
+                : mimeType === pattern;
+        });
+        if (!matched) {
+            return false;
+        }
+    }
+    if (rule.minSize !== undefined && !(doc.size >= rule.minSize)) {
+        return false;
+    }
+    if (
+        rule.maxSize !== undefined &&
+        !(doc.size >= 0 && doc.size <= rule.maxSize)
+    ) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Decides what to do with a document. Rules are tried in order and the first
+ * one that matches wins. This function has no side effects and doesn't touch
+ * any browser API.
+ *
+ * @param {!Object} doc See RuleMatches().
+ * @param {!Array<!Object>} rules
+ * @param {RouteAction=} fallback Action when no rule matches.
+ * @return {{action: RouteAction, rule: Object}} The action and the rule that
+ *     chose it, or null for the fallback.
+ */
+function RouteDocument(doc, rules, fallback = RouteAction.VIEWER) {
+    for (const rule of rules) {
+        if (RuleMatches(rule, doc)) {
+            return { action: rule.action, rule: rule };
+        }
+    }
+    return { action: fallback, rule: null };
+}
+
+/**
+ * @param {string} url
+ * @param {!Array<string>} domains
+ * @return {boolean} Whether |url| belongs to one of |domains|.
+ */
+function SiteListMatches(url, domains) {
+    const hostname = GetUrlHostname(url);
+    return domains.some((domain) => DomainMatches(domain, hostname));
+}
+
+/**
+ * @param {RouteAction} action
+ * @return {boolean} Whether |action| sends the document to an online service.
+ */
+function IsOnlineRoute(action) {
+    return action === RouteAction.VIEWER || action === RouteAction.PDF;
+}
+
+/**
+ * Routes a document according to the user's settings: the site lists first,
+ * then the routing rules, then the default action for the document's kind.
+ * The user's rules are skipped for kinds whose default action a policy sets.
+ * In privacy mode, routes that would send the document to an online service
+ * become LOCAL. Like RouteDocument() this is free of side effects.
+ *
+ * @param {!Object} doc See RuleMatches(), plus the document |kind|.
+ * @param {!Object} settings See DEFAULT_SETTINGS.
+ * @param {?RouteAction=} requested Action the user picked, e.g. from the
+ *     context menu. It replaces the rules, but not the site lists or privacy
+ *     mode: if those rule it out, the document is routed as usual.
+ * @return {RouteAction}
+ */
+function ChooseRoute(doc, settings, requested) {
+    if (
+        SiteListMatches(doc.url, settings.siteDenyList) ||
+        (settings.siteAllowList.length > 0 &&
+            !SiteListMatches(doc.url, settings.siteAllowList))
+    ) {
+        return RouteAction.DOWNLOAD;
+    }
+    if (requested && !(settings.privacyMode && IsOnlineRoute(requested))) {
+        return requested;
+    }
+    const isManaged = (settings.managedKinds || []).indexOf(doc.kind) !== -1;
+    const action = RouteDocument(
+        doc,
+        (isManaged ? [] : settings.routingRules).concat(DEFAULT_ROUTING_RULES),
+        settings.defaultActions[doc.kind] || RouteAction.VIEWER
+    ).action;
+    if (settings.privacyMode && IsOnlineRoute(action)) {
+        return RouteAction.LOCAL;
+    }
+    return action;
+}
@@ -0,0 +1,179 @@
+/**
+ * User settings kept in chrome.storage.sync, with their defaults.
+ */
+const DEFAULT_SETTINGS = {
+    // RouteAction for each document kind when no routing rule matches.
+    defaultActions: {
+        word: 'viewer',
+        excel: 'viewer',
+        powerpoint: 'viewer',
+        csv: 'viewer',
+        // The web viewer can't show Visio drawings.
+        visio: 'desktop'
+    },
+    // Page of the Office web viewer that documents are embedded with; the
+    // document URL is passed in its |src| parameter.
+    viewerEndpoint: 'https://view.officeapps.live.com/op/view.aspx',
+    // Sites whose documents are always left to the browser.
+    siteDenyList: [],
+    // When not empty, only documents from these sites are handled.
+    siteAllowList: [],
+    // Service that converts documents to PDF. '{prefix}' is replaced with
+    // the host prefix of the document's app, e.g. 'wordcs'.
+    conversionEndpoint:
+        'https://{prefix}.edog.officeapps.live.com/document/export/pdf',
+    // Never send documents to online services; preview them in the browser
+    // instead.
+    privacyMode: false,
+    // Whether local documents, and web documents the online services can't
+    // reach, may be uploaded to OneDrive to be viewed.
+    allowLocalUpload: true,
+    // Application (client) ID of the app registration that users sign in to
+    // OneDrive with, see AUTH_CONFIG. Uploads need one.
+    signInClientId: '',
+    // Microsoft identity platform authority to sign in with. Its last segment
+    // is the tenant, or 'common' for any work or personal account.
+    signInAuthority: 'https://login.microsoftonline.com/common',
+    // OneDrive folder, relative to the drive root, that documents are
+    // uploaded to.
+    uploadFolder: 'localFiles',
+    // When uploaded copies are deleted from OneDrive, see UploadRetention.
+    // Copies edited in OneDrive are always kept.
+    uploadRetention: 'keep',
+    // Days after a copy was last opened that it is deleted, for the 'days'
+    // retention.
+    uploadRetentionDays: 30,
+    // Sites whose documents need the user's sign-in or network, and are
+    // always uploaded to be viewed. See CheckDocumentReachability().
+    privateSiteList: [],
+    // Sites whose documents the online services can always fetch, which
+    // skips the reachability check.
+    publicSiteList: [],
+    // How many documents the popup lists as recently opened, besides the
+    // pinned ones. 0 turns the history off.
+    historySize: 50,
+    // Whether documents opened in incognito windows are added to the
+    // history too.
+    incognitoHistory: false,
+    // Whether to record how documents are routed and how long they take,
+    // see metrics.js. Nothing identifying a document is recorded.
+    usageMetrics: true,
+    // User routing rules, tried before DEFAULT_ROUTING_RULES. See
+    // RuleMatches() for their format.
+    routingRules: []
+};
+
+/**
+ * Viewer pages the options page offers. Any other https URL may be entered
+ * as a custom endpoint.
+ */
+const VIEWER_ENDPOINTS = [
+    'https://view.officeapps.live.com/op/view.aspx',
+    'https://view.officeapps.live.com/op/embed.aspx'
+];
+
+/**
+ * Settings an administrator can set by policy, see managed_schema.json.
+ * Policy values override the user's; for |defaultActions| only the kinds the
+ * policy names do.
+ */
+const MANAGED_SETTINGS = [
+    'viewerEndpoint',
+    'conversionEndpoint',
+    'allowLocalUpload',
+    'privacyMode',
+    'siteAllowList',
+    'siteDenyList',
+    'defaultActions'
+];
+
+/**
+ * @param {string} endpoint A conversion endpoint, see DEFAULT_SETTINGS.
+ * @return {string} Match pattern of the hosts the endpoint sends requests
+ *     to, which the extension needs access to: the service sends no CORS
+ *     headers for the extension's own request headers.
+ */
+function GetConversionHostPattern(endpoint) {
+    const url = new URL(endpoint.replace('{prefix}', '*'));
+    return url.protocol + '//' + url.hostname + '/*';
+}
+
+/**
+ * @return {!Promise<!Object>} The user's own settings, with defaults filled
+ *     in and without any policy applied.
+ */
+function LoadUserSettings() {
+    return new Promise(function (resolve) {
+        chrome.storage.sync.get(DEFAULT_SETTINGS, function (settings) {
+            // Kinds added since the user saved their settings get defaults.
+            settings.defaultActions = Object.assign(
+                {},
+                DEFAULT_SETTINGS.defaultActions,
+                settings.defaultActions
+            );
+            resolve(settings);
+        });
+    });
+}
+
+/**
+ * @return {!Promise<!Object>} The policy set by the administrator in
+ *     chrome.storage.managed, or {} if there is none. The browser has already
+ *     checked it against managed_schema.json.
+ */
+function LoadManagedPolicy() {
+    return new Promise(function (resolve) {
+        if (!chrome.storage.managed) {
+            resolve({});
+            return;
+        }
+        chrome.storage.managed.get(null, function (policy) {
+            // Browsers without policy support report an error.
+            resolve(chrome.runtime.lastError ? {} : policy || {});
+        });
+    });
+}
+
+/**
+ * @param {!Object} settings See DEFAULT_SETTINGS.
+ * @param {!Object} policy See LoadManagedPolicy().
+ * @return {!Object} |settings| with the values set by |policy|, and
+ *     |managedKinds|, the document kinds whose default action it sets.
+ */
+function ApplyManagedPolicy(settings, policy) {
+    settings = Object.assign({}, settings, {
+        managedKinds: Object.keys(policy.defaultActions || {})
+    });
+    for (const key of MANAGED_SETTINGS) {
+        if (policy[key] === undefined) {
+            continue;
+        }
+        settings[key] =
+            key === 'defaultActions'
+                ? Object.assign({}, settings.defaultActions, policy[key])
+                : policy[key];
+    }
+    return settings;
+}
+
+/**
+ * @return {!Promise<!Object>} The settings in effect: the user's, with
+ *     defaults filled in and overridden by any policy.
+ */
+function LoadSettings() {
+    return Promise.all([LoadUserSettings(), LoadManagedPolicy()]).then(
+        function ([settings, policy]) {
+            return ApplyManagedPolicy(settings, policy);
+        }
+    );
+}
+
+/**
+ * @param {!Object} changes Settings to store.
+ * @return {!Promise}
+ */
+function SaveSettings(changes) {
+    return new Promise(function (resolve) {
+        chrome.storage.sync.set(changes, resolve);
+    });
+}
@@ -0,0 +1,219 @@
+// MIME types that say nothing about what a document is.
+const GENERIC_MIME_TYPES = [
+    '',
+    'application/octet-stream',
+    'binary/octet-stream',
+    'application/binary',
+    'application/download',
+    'application/force-download',
+    'application/x-download',
+    'application/unknown',
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/x-ole-storage',
+    'application/cdfv2',
+    'text/plain'
+];
+
+// Extension of each OOXML format, by the content type of its main part in
+// [Content_Types].xml.
+const OOXML_MAIN_PART_EXTENSIONS = {
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml':
+        'docx',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml':
+        'dotx',
+    'application/vnd.ms-word.document.macroenabled.main+xml': 'docm',
+    'application/vnd.ms-word.template.macroenabledtemplate.main+xml': 'dotm',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml':
+        'xlsx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.template.main+xml':
+        'xltx',
+    'application/vnd.ms-excel.sheet.macroenabled.main+xml': 'xlsm',
+    'application/vnd.ms-excel.template.macroenabled.main+xml': 'xltm',
+    'application/vnd.ms-excel.sheet.binary.macroenabled.main': 'xlsb',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml':
+        'pptx',
+    'application/vnd.openxmlformats-officedocument.presentationml.slideshow.main+xml':
+        'ppsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.template.main+xml':
+        'potx',
+    'application/vnd.ms-powerpoint.presentation.macroenabled.main+xml': 'pptm',
+    'application/vnd.ms-powerpoint.slideshow.macroenabled.main+xml': 'ppsm',
+    'application/vnd.ms-powerpoint.template.macroenabled.main+xml': 'potm',
+    'application/vnd.ms-visio.drawing.main+xml': 'vsdx',
+    'application/vnd.ms-visio.drawing.macroenabled.main+xml': 'vsdm'
+};
+
+// Extension of each legacy binary format, by the name of the stream that
+// holds the document in its OLE2 compound file.
+const OLE2_STREAM_EXTENSIONS = {
+    WordDocument: 'doc',
+    Workbook: 'xls',
+    Book: 'xls',
+    'PowerPoint Document': 'ppt',
+    VisioDocument: 'vsd'
+};
+
+const OLE2_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+// Sector numbers at or above this mark the end of a chain or unused sectors.
+const OLE2_MAX_SECTOR = 0xfffffffa;
+
+/**
+ * @param {string} mimeType
+ * @return {boolean} Whether the MIME type says nothing about the document.
+ */
+function IsGenericMimeType(mimeType) {
+    return (
+        GENERIC_MIME_TYPES.indexOf(
+            (mimeType || '').split(';')[0].trim().toLowerCase()
+        ) !== -1
+    );
+}
+
+/**
+ * @param {string} header Value of a Content-Disposition header.
+ * @return {string} The file name it gives, or '' if none.
+ */
+function GetContentDispositionFileName(header) {
+    // RFC 6266: filename* (RFC 5987 encoded) takes precedence over filename.
+    const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[2].trim());
+        } catch (error) {
+            // Fall back to the plain parameter.
+        }
+    }
+    const plain = /filename\s*=\s*("((?:[^"\\]|\\.)*)"|[^;]+)/i.exec(header);
+    if (!plain) {
+        return '';
+    }
+    const fileName =
+        plain[2] !== undefined ? plain[2].replace(/\\(.)/g, '$1') : plain[1];
+    // Only the last path segment is a file name.
+    return fileName.trim().split(/[\\/]/).pop();
+}
+
+/**
+ * @param {!Uint8Array} bytes
+ * @param {!Array<number>} signature
+ * @return {boolean} Whether |bytes| starts with |signature|.
+ */
+function StartsWithBytes(bytes, signature) {
+    return (
+        bytes.length >= signature.length &&
+        signature.every((byte, i) => bytes[i] === byte)
+    );
+}
+
+/**
+ * Tells the OOXML and OpenDocument formats apart by the content types listed
+ * in the package.
+ * @param {!Uint8Array} bytes A ZIP archive.
+ * @return {!Promise<string>} The extension of the format, or '' if unknown.
+ */
+async function SniffZipExtension(bytes) {
+    const zip = new ZipArchive(bytes);
+    if (zip.has('mimetype')) {
+        const fileType = GetFileTypeForMimeType(
+            (await zip.readText('mimetype')).trim()
+        );
+        return fileType ? fileType.extensions[0] : '';
+    }
+    if (!zip.has('[Content_Types].xml')) {
+        return '';
+    }
+    const types = new DOMParser().parseFromString(
+        await zip.readText('[Content_Types].xml'),
+        'application/xml'
+    );
+    for (const override of types.getElementsByTagName('Override')) {
+        const extension =
+            OOXML_MAIN_PART_EXTENSIONS[
+                (override.getAttribute('ContentType') || '').toLowerCase()
+            ];
+        if (extension) {
+            return extension;
+        }
+    }
+    return '';
+}
+
+/**
+ * Tells the legacy binary formats apart by the streams in their OLE2
+ * compound file.
+ * @param {!Uint8Array} bytes An OLE2 compound file.
+ * @return {string} The extension of the format, or '' if unknown.
+ */
+function SniffOle2Extension(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sectorSize = 1 << view.getUint16(0x1e, true);
+    const sectorCount = Math.floor(bytes.length / sectorSize) - 1;
+    const sectorOffset = (sector) => (sector + 1) * sectorSize;
+    const isSector = (sector) => sector < OLE2_MAX_SECTOR && sector < sectorCount;
+
+    // The header lists the first 109 FAT sectors; DIFAT sectors list the rest.
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) {
+        fatSectors.push(view.getUint32(0x4c + i * 4, true));
+    }
+    const perSector = sectorSize / 4 - 1;
+    let difatSector = view.getUint32(0x44, true);
+    for (let i = 0; isSector(difatSector) && i < sectorCount; i++) {
+        const offset = sectorOffset(difatSector);
+        for (let j = 0; j < perSector; j++) {
+            fatSectors.push(view.getUint32(offset + j * 4, true));
+        }
+        difatSector = view.getUint32(offset + perSector * 4, true);
+    }
+    const nextSector = function (sector) {
+        const fatSector = fatSectors[Math.floor(sector / (sectorSize / 4))];
+        if (!isSector(fatSector)) {
+            return OLE2_MAX_SECTOR;
+        }
+        return view.getUint32(
+            sectorOffset(fatSector) + (sector % (sectorSize / 4)) * 4,
+            true
+        );
+    };
+
+    // Directory entries are 128 bytes, starting with the UTF-16 name.
+    const decoder = new TextDecoder('utf-16le');
+    let sector = view.getUint32(0x30, true);
+    for (let i = 0; isSector(sector) && i < sectorCount; i++) {
+        const offset = sectorOffset(sector);
+        for (let entry = offset; entry < offset + sectorSize; entry += 128) {
+            const nameLength = view.getUint16(entry + 0x40, true);
+            if (nameLength < 2 || nameLength > 64) {
+                continue;
+            }
+            const name = decoder.decode(
+                bytes.subarray(entry, entry + nameLength - 2)
+            );
+            if (OLE2_STREAM_EXTENSIONS.hasOwnProperty(name)) {
+                return OLE2_STREAM_EXTENSIONS[name];
+            }
+        }
+        sector = nextSector(sector);
+    }
+    return '';
+}
+
+/**
+ * Detects the format of a document from its content.
+ * @param {!Uint8Array} bytes
+ * @return {!Promise<string>} The usual extension of the format, or '' if it
+ *     isn't one of FILE_TYPES.
+ */
+async function SniffExtension(bytes) {
+    if (ZipArchive.isZip(bytes)) {
+        return SniffZipExtension(bytes);
+    }
+    if (StartsWithBytes(bytes, OLE2_SIGNATURE)) {
+        return SniffOle2Extension(bytes);
+    }
+    if (new TextDecoder('ascii').decode(bytes.subarray(0, 5)) === '{\\rtf') {
+        return 'rtf';
+    }
+    return '';
+}
@@ -0,0 +1,441 @@
+/**
+ * Settings for uploading local documents to OneDrive. |graphEndpoint| may be
+ * pointed at a local stub that implements the upload session protocol.
+ */
+const UPLOAD_CONFIG = {
+    graphEndpoint: 'https://graph.microsoft.com/v1.0',
+    // Graph rejects simple PUT uploads larger than this.
+    simpleUploadLimit: 4 * 1024 * 1024,
+    // Upload session chunks must be a multiple of 320 KiB.
+    chunkSize: 10 * 320 * 1024,
+    maxRetries: 5,
+    initialBackoffMs: 1000,
+    maxBackoffMs: 30 * 1000
+};
+
+/**
+ * Reads a stream until it is done.
+ * @param {!ReadableStreamDefaultReader} reader
+ * @return {!Promise<!Uint8Array>} All bytes of the stream.
+ */
+function ReadWholeStream(reader) {
+    const chunks = [];
+    let length = 0;
+    function pump() {
+        return reader.read().then(function (result) {
+            if (result.done) {
+                const bytes = new Uint8Array(length);
+                let offset = 0;
+                for (const chunk of chunks) {
+                    bytes.set(chunk, offset);
+                    offset += chunk.length;
+                }
+                return bytes;
+            }
+            chunks.push(result.value);
+            length += result.value.length;
+            return pump();
+        });
+    }
+    return pump();
+}
+
+/**
+ * @param {number} ms
+ * @return {!Promise}
+ */
+function Sleep(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Resolves once the browser reports a network connection.
+ * @return {!Promise}
+ */
+function WaitForOnline() {
+    if (navigator.onLine) {
+        return Promise.resolve();
+    }
+    return new Promise(function (resolve) {
+        window.addEventListener('online', resolve, { once: true });
+    });
+}
+
+/**
+ * Error for an HTTP response that ended an upload.
+ */
+class UploadError extends ViewerError {
+    /**
+     * @param {string} message
+     * @param {number} status HTTP status, or 0 for network failures.
+     * @param {string=} requestId The request-id Graph answered with, if any.
+     * @param {?string=} retryAfter The Retry-After header Graph answered
+     *     with, if any.
+     */
+    constructor(message, status, requestId, retryAfter = null) {
+        super(ErrorCode.UPLOAD_FAILED, message, {
+            status: status,
+            // Throttling and server errors outlast our own retries, but may
+            // pass by the time the user tries again.
+            retriable: status === 0 || status === 429 || status >= 500,
+            correlationId: requestId
+        });
+        this.name = 'UploadError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * @param {string} text Body of a failed Graph response.
+ * @return {string} The message of the Graph error in it, or |text| itself.
+ */
+function GetGraphErrorMessage(text) {
+    try {
+        return JSON.parse(text).error.message || text;
+    } catch (error) {
+        return text;
+    }
+}
+
+// Uploads a file to the signed in user's OneDrive, using an upload session
+// with retried byte-range chunks when the file is too large for a simple PUT.
+class DriveUploader {
+    /**
+     * @param {function(): !Promise<string>} getToken Returns an access token.
+     * @param {Object=} options Overrides for UPLOAD_CONFIG, plus an optional
+     *     |onProgress| callback taking (uploadedBytes, totalBytes).
+     */
+    constructor(getToken, options) {
+        this.getToken_ = getToken;
+        this.config_ = Object.assign({}, UPLOAD_CONFIG, options);
+        this.onProgress_ = this.config_.onProgress || function () {};
+    }
+
+    /**
+     * @param {string} path Destination path relative to the drive root.
+     * @param {!Uint8Array} bytes File content.
+     * @param {string=} conflictBehavior 'replace', 'rename' or 'fail'.
+     * @return {!Promise<!Object>} The uploaded driveItem.
+     */
+    upload(path, bytes, conflictBehavior = 'replace') {
+        this.onProgress_(0, bytes.length);
+        if (bytes.length <= this.config_.simpleUploadLimit) {
+            return this.simpleUpload_(path, bytes, conflictBehavior);
+        }
+        return this.createUploadSession_(path, conflictBehavior).then(
+            (uploadUrl) =>
+                this.uploadChunks_(path, uploadUrl, bytes, conflictBehavior)
+        );
+    }
+
+    /**
+     * @param {string} itemId
+     * @return {!Promise<Object>} The driveItem, or null if it no longer
+     *     exists.
+     */
+    getItem(itemId) {
+        return this.getToken_()
+            .then((token) =>
+                this.withRetries_(() =>
+                    fetch(this.getItemIdUrl_(itemId), {
+                        headers: { Authorization: 'Bearer ' + token }
+                    })
+                )
+            )
+            .then(
+                (response) => response.json(),
+                function (error) {
+                    if (error.status === 404) {
+                        return null;
+                    }
+                    throw error;
+                }
+            );
+    }
+
+    /**
+     * Deletes a drive item, which moves it to the OneDrive recycle bin. An
+     * item that is already gone counts as deleted.
+     * @param {string} itemId
+     * @return {!Promise}
+     */
+    deleteItem(itemId) {
+        return this.getToken_()
+            .then((token) =>
+                this.withRetries_(() =>
+                    fetch(this.getItemIdUrl_(itemId), {
+                        method: 'DELETE',
+                        headers: { Authorization: 'Bearer ' + token }
+                    })
+                )
+            )
+            .then(
+                () => undefined,
+                function (error) {
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                }
+            );
+    }
+
+    /**
+     * @param {string} itemId
+     * @return {!Promise<!Uint8Array>} The content of a drive item.
+     */
+    download(itemId) {
+        return this.getToken_()
+            .then((token) =>
+                this.withRetries_(() =>
+                    fetch(this.getItemIdUrl_(itemId) + '/content', {
+                        headers: { Authorization: 'Bearer ' + token }
+                    })
+                )
+            )
+            .then((response) => ReadWholeStream(response.body.getReader()));
+    }
+
+    /**
+     * @param {string} itemId
+     * @return {string} URL addressing a drive item by its ID.
+     * @private
+     */
+    getItemIdUrl_(itemId) {
+        return (
+            this.config_.graphEndpoint +
+            '/me/drive/items/' +
+            encodeURIComponent(itemId)
+        );
+    }
+
+    /**
+     * @param {string} path
+     * @return {string} URL addressing |path| in the drive root.
+     * @private
+     */
+    getItemUrl_(path) {
+        return (
+            this.config_.graphEndpoint +
+            '/me/drive/root:/' +
+            path.split('/').map(encodeURIComponent).join('/') +
+            ':'
+        );
+    }
+
+    /**
+     * @return {!Promise<!Object>} The uploaded driveItem.
+     * @private
+     */
+    simpleUpload_(path, bytes, conflictBehavior) {
+        return this.withRetries_(() =>
+            this.getToken_().then((token) =>
+                fetch(
+                    this.getItemUrl_(path) +
+                        '/content?@microsoft.graph.conflictBehavior=' +
+                        conflictBehavior,
+                    {
+                        method: 'PUT',
+                        headers: {
+                            Authorization: 'Bearer ' + token,
+                            'Content-Type': 'application/octet-stream'
+                        },
+                        body: bytes
+                    }
+                )
+            )
+        ).then((response) => {
+            this.onProgress_(bytes.length, bytes.length);
+            return response.json();
+        });
+    }
+
+    /**
+     * @return {!Promise<string>} The upload URL of a new session.
+     * @private
+     */
+    createUploadSession_(path, conflictBehavior) {
+        return this.withRetries_(() =>
+            this.getToken_().then((token) =>
+                fetch(this.getItemUrl_(path) + '/createUploadSession', {
+                    method: 'POST',
+                    headers: {
+                        Authorization: 'Bearer ' + token,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        item: {
+                            '@microsoft.graph.conflictBehavior': conflictBehavior
+                        }
+                    })
+                })
+            )
+        )
+            .then((response) => response.json())
+            .then((session) => session.uploadUrl);
+    }
+
+    /**
+     * Sends |bytes| to the session in chunks. After a failed chunk, asks the
+     * session which ranges it still expects and carries on from there, so a
+     * dropped connection only costs the chunk that was in flight.
+     * @return {!Promise<!Object>} The uploaded driveItem.
+     * @private
+     */
+    async uploadChunks_(path, uploadUrl, bytes, conflictBehavior) {
+        let offset = 0;
+        let failures = 0;
+        while (true) {
+            const end = Math.min(offset + this.config_.chunkSize, bytes.length);
+            let response;
+            try {
+                response = await this.sendChunk_(uploadUrl, bytes, offset, end);
+            } catch (error) {
+                if (!error.retriable || failures >= this.config_.maxRetries) {
+                    throw error;
+                }
+                await this.backoff_(failures++, error.retryAfter);
+                const status = await this.getSessionStatus_(uploadUrl);
+                if (!status) {
+                    // The session expired; start over with a new one.
+                    uploadUrl = await this.createUploadSession_(
+                        path,
+                        conflictBehavior
+                    );
+                    offset = 0;
+                } else {
+                    offset = status.nextOffset;
+                }
+                continue;
+            }
+            failures = 0;
+            if (response.status === 200 || response.status === 201) {
+                this.onProgress_(bytes.length, bytes.length);
+                return response.json();
+            }
+            const status = await response.json();
+            offset = this.parseNextOffset_(status.nextExpectedRanges, end);
+            this.onProgress_(offset, bytes.length);
+        }
+    }
+
+    /**
+     * @return {!Promise<!Response>} The response to a 2xx chunk upload.
+     *     Rejects with an UploadError otherwise; only network failures,
+     *     throttling and server errors are worth retrying.
+     * @private
+     */
+    async sendChunk_(uploadUrl, bytes, start, end) {
+        let response;
+        try {
+            // Upload URLs are pre-authenticated; Graph rejects requests to
+            // them that carry an Authorization header.
+            response = await fetch(uploadUrl, {
+                method: 'PUT',
+                headers: {
+                    'Content-Range':
+                        'bytes ' + start + '-' + (end - 1) + '/' + bytes.length
+                },
+                body: bytes.subarray(start, end)
+            });
+        } catch (error) {
+            throw new UploadError(error.message, 0);
+        }
+        if (response.ok) {
+            return response;
+        }
+        const text = await response.text();
+        throw new UploadError(
+            GetGraphErrorMessage(text) ||
+                'Chunk upload failed: ' + response.status,
+            response.status,
+            response.headers.get('request-id'),
+            response.headers.get('Retry-After')
+        );
+    }
+
+    /**
+     * @return {!Promise<Object>} {nextOffset} to resume from, or null if the
+     *     session no longer exists.
+     * @private
+     */
+    getSessionStatus_(uploadUrl) {
+        return this.withRetries_(() => fetch(uploadUrl)).then(
+            (response) => response.json().then((status) => ({
+                nextOffset: this.parseNextOffset_(status.nextExpectedRanges, 0)
+            })),
+            function (error) {
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        );
+    }
+
+    /**
+     * @param {Array<string>} ranges Ranges like '26-' or '26-100'.
+     * @param {number} fallback Offset to use when no range is given.
+     * @return {number}
+     * @private
+     */
+    parseNextOffset_(ranges, fallback) {
+        if (!ranges || ranges.length === 0) {
+            return fallback;
+        }
+        return parseInt(ranges[0].split('-')[0], 10);
+    }
+
+    /**
+     * Runs |request| until it succeeds, retrying network failures, throttling
+     * and server errors with exponential backoff.
+     * @param {function(): !Promise<!Response>} request
+     * @return {!Promise<!Response>} The first successful response.
+     * @private
+     */
+    async withRetries_(request) {
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await request();
+            } catch (error) {
+                if (attempt >= this.config_.maxRetries) {
+                    throw new UploadError(error.message, 0);
+                }
+                await this.backoff_(attempt, null);
+                continue;
+            }
+            if (response.ok) {
+                return response;
+            }
+            const retriable =
+                response.status === 429 || response.status >= 500;
+            if (!retriable || attempt >= this.config_.maxRetries) {
+                const text = await response.text();
+                throw new UploadError(
+                    GetGraphErrorMessage(text) ||
+                        'Upload failed: ' + response.status,
+                    response.status,
+                    response.headers.get('request-id')
+                );
+            }
+            await this.backoff_(attempt, response.headers.get('Retry-After'));
+        }
+    }
+
+    /**
+     * @param {number} attempt Zero based retry count.
+     * @param {?string} retryAfter Retry-After header in seconds, if any.
+     * @return {!Promise}
+     * @private
+     */
+    backoff_(attempt, retryAfter) {
+        let delay = retryAfter
+            ? Number(retryAfter) * 1000
+            : this.config_.initialBackoffMs * Math.pow(2, attempt) +
+              Math.random() * this.config_.initialBackoffMs;
+        delay = Math.min(delay, this.config_.maxBackoffMs);
+        return Sleep(delay).then(WaitForOnline);
+    }
+}
@@ -0,0 +1,220 @@
+const UPLOAD_CLEANUP_ALARM = 'uploadCleanup';
+// How often uploaded copies past their retention are looked for.
+const UPLOAD_CLEANUP_PERIOD_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When copies uploaded to OneDrive to be viewed are deleted again.
+ * @enum {string}
+ */
+const UploadRetention = {
+    KEEP: 'keep',
+    // Some days after the document was last opened.
+    DAYS: 'days',
+    // Once the tab it was last opened in is closed.
+    TAB_CLOSED: 'tabClosed'
+};
+
+/**
+ * @return {!DriveUploader} An uploader that never prompts to sign in, for
+ *     work the user didn't start in a tab.
+ */
+function CreateBackgroundUploader() {
+    return new DriveUploader(function () {
+        return graphAuth.getAccessToken(false);
+    });
+}
+
+/**
+ * Looks up every uploaded copy in OneDrive.
+ * @param {!DriveUploader} uploader
+ * @return {!Promise<!Array<{localUrl: string, entry: !Object, item: Object,
+ *     status: UploadSyncStatus}>>} Newest first.
+ */
+async function GetUploads(uploader) {
+    const index = await new DriveIndex().getAll();
+    // Identical local files share a drive item.
+    const items = new Map();
+    const uploads = await Promise.all(
+        Object.keys(index).map(async function (localUrl) {
+            const entry = index[localUrl];
+            if (!items.has(entry.itemId)) {
+                items.set(
+                    entry.itemId,
+                    uploader.getItem(entry.itemId).catch(() => undefined)
+                );
+            }
+            const item = await items.get(entry.itemId);
+            return {
+                localUrl: localUrl,
+                entry: entry,
+                item: item || null,
+                status:
+                    item === undefined
+                        ? UploadSyncStatus.UNKNOWN
+                        : GetUploadSyncStatus(entry, item)
+            };
+        })
+    );
+    return uploads.sort((a, b) => b.entry.uploadedAt - a.entry.uploadedAt);
+}
+
+/**
+ * Flags the browser action while any uploaded copy has edits that aren't
+ * saved locally.
+ * @param {!Array<!Object>} uploads See GetUploads().
+ */
+function UpdateUploadBadge(uploads) {
+    const edited = uploads.some(
+        (upload) => upload.status === UploadSyncStatus.EDITED
+    );
+    chrome.browserAction.setBadgeBackgroundColor({ color: '#A80000' });
+    chrome.browserAction.setBadgeText({ text: edited ? '!' : '' });
+    chrome.browserAction.setTitle({
+        title: edited
+            ? 'A document you uploaded was edited in OneDrive'
+            : chrome.runtime.getManifest().browser_action.default_title
+    });
+}
+
+/**
+ * @param {!Object} entry A DriveIndex entry.
+ * @param {!Object} settings See DEFAULT_SETTINGS.
+ * @param {!Set<number>} openTabIds
+ * @return {boolean} Whether the retention policy has run out for |entry|.
+ */
+function IsUploadExpired(entry, settings, openTabIds) {
+    switch (settings.uploadRetention) {
+        case UploadRetention.DAYS:
+            return (
+                Date.now() - (entry.openedAt || entry.uploadedAt) >
+                settings.uploadRetentionDays * DAY_MS
+            );
+        case UploadRetention.TAB_CLOSED:
+            // Entries without a tab are kept; they can't tell when to go.
+            return entry.tabId !== undefined && !openTabIds.has(entry.tabId);
+    }
+    return false;
+}
+
+/**
+ * Deletes the uploaded copies that the retention policy has run out for.
+ * Copies that were edited in OneDrive are kept so that the edits aren't lost;
+ * the badge and the popup point them out instead.
+ * @return {!Promise}
+ */
+async function CleanUpUploads() {
+    const [settings, tabs] = await Promise.all([
+        LoadSettings(),
+        new Promise(function (resolve) {
+            chrome.tabs.query({}, resolve);
+        })
+    ]);
+    const openTabIds = new Set(tabs.map((tab) => tab.id));
+    const uploader = CreateBackgroundUploader();
+    const uploads = await GetUploads(uploader);
+    const index = new DriveIndex();
+
+    const byItem = new Map();
+    for (const upload of uploads) {
+        byItem.set(
+            upload.entry.itemId,
+            (byItem.get(upload.entry.itemId) || []).concat([upload])
+        );
+    }
+    for (const [itemId, sharing] of byItem) {
+        const expired = sharing.every((upload) =>
+            IsUploadExpired(upload.entry, settings, openTabIds)
+        );
+        const status = sharing[0].status;
+        if (
+            !expired ||
+            status === UploadSyncStatus.EDITED ||
+            status === UploadSyncStatus.UNKNOWN
+        ) {
+            continue;
+        }
+        if (status === UploadSyncStatus.SYNCED) {
+            await uploader.deleteItem(itemId);
+        }
+        await index.removeItem(itemId);
+    }
+    UpdateUploadBadge(await GetUploads(uploader));
+}
+
+/**
+ * Deletes an uploaded copy from OneDrive, whatever its status.
+ * @param {string} localUrl
+ * @return {!Promise}
+ */
+async function DeleteUpload(localUrl) {
+    const index = new DriveIndex();
+    const entry = await index.get(localUrl);
+    if (!entry) {
+        return;
+    }
+    const uploader = CreateBackgroundUploader();
+    await uploader.deleteItem(entry.itemId);
+    await index.removeItem(entry.itemId);
+    UpdateUploadBadge(await GetUploads(uploader));
+}
+
+/**
+ * Downloads the OneDrive copy of a document, asking the user where to save
+ * it under the original name, so that it can replace the original. The
+ * copy then counts as saved.
+ * @param {string} localUrl
+ * @return {!Promise} Rejects, with a message for the user, if the copy was
+ *     deleted from OneDrive.
+ */
+async function SaveEditedUpload(localUrl) {
+    const index = new DriveIndex();
+    const entry = await index.get(localUrl);
+    if (!entry) {
+        return;
+    }
+    const uploader = CreateBackgroundUploader();
+    const item = await uploader.getItem(entry.itemId);
+    if (!item) {
+        // Deleted in OneDrive since; the popup stops listing it.
+        await index.removeItem(entry.itemId);
+        UpdateUploadBadge(await GetUploads(uploader));
+        throw new Error(
+            'The copy in OneDrive was deleted, so there is nothing to save.'
+        );
+    }
+    const bytes = await uploader.download(entry.itemId);
+    const url = URL.createObjectURL(new Blob([bytes]));
+    await new Promise(function (resolve, reject) {
+        chrome.downloads.download(
+            {
+                url: url,
+                filename: GetFileNameFromUrl(localUrl),
+                saveAs: true,
+                conflictAction: 'overwrite'
+            },
+            function (downloadId) {
+                // The download keeps its own reference to the data.
+                setTimeout(function () {
+                    URL.revokeObjectURL(url);
+                }, 60 * 1000);
+                if (chrome.runtime.lastError || downloadId === undefined) {
+                    reject(
+                        new Error(
+                            chrome.runtime.lastError
+                                ? chrome.runtime.lastError.message
+                                : 'Download failed'
+                        )
+                    );
+                    return;
+                }
+                resolve();
+            }
+        );
+    });
+    await index.update(localUrl, {
+        hash: await HashBytes(bytes),
+        cTag: item.cTag
+    });
+    UpdateUploadBadge(await GetUploads(uploader));
+}
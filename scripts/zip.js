@@ -0,0 +1,158 @@
+/**
+ * Read-only access to the entries of a ZIP archive held in memory, enough to
+ * open OOXML packages. Supports stored and deflated entries; inflating relies
+ * on DecompressionStream.
+ */
+class ZipArchive {
+    /**
+     * @param {!Uint8Array} bytes The whole archive.
+     * @throws {Error} If |bytes| isn't a ZIP archive.
+     */
+    constructor(bytes) {
+        this.bytes_ = bytes;
+        this.view_ = new DataView(
+            bytes.buffer,
+            bytes.byteOffset,
+            bytes.byteLength
+        );
+        // Entry name -> {method, crc32, compressedSize, uncompressedSize,
+        // localHeaderOffset}.
+        this.entries_ = new Map();
+        this.readCentralDirectory_();
+    }
+
+    /**
+     * @param {!Uint8Array} bytes
+     * @return {boolean} Whether |bytes| starts like a ZIP archive.
+     */
+    static isZip(bytes) {
+        return (
+            bytes.length >= 4 &&
+            bytes[0] === 0x50 &&
+            bytes[1] === 0x4b &&
+            bytes[2] === 0x03 &&
+            bytes[3] === 0x04
+        );
+    }
+
+    /** @return {!Array<string>} Names of all entries. */
+    getNames() {
+        return Array.from(this.entries_.keys());
+    }
+
+    /**
+     * @param {string} name
+     * @return {boolean}
+     */
+    has(name) {
+        return this.entries_.has(name);
+    }
+
+    /**
+     * @param {string} name
+     * @return {!Promise<!Uint8Array>} The uncompressed content of an entry.
+     */
+    read(name) {
+        const entry = this.entries_.get(name);
+        if (!entry) {
+            return Promise.reject(new Error('Missing ZIP entry: ' + name));
+        }
+        const offset = entry.localHeaderOffset;
+        if (this.view_.getUint32(offset, true) !== 0x04034b50) {
+            return Promise.reject(new Error('Corrupt ZIP entry: ' + name));
+        }
+        const dataStart =
+            offset +
+            30 +
+            this.view_.getUint16(offset + 26, true) +
+            this.view_.getUint16(offset + 28, true);
+        const data = this.bytes_.subarray(
+            dataStart,
+            dataStart + entry.compressedSize
+        );
+        switch (entry.method) {
+            case 0:
+                return Promise.resolve(data);
+            case 8:
+                return this.inflate_(data, entry);
+        }
+        return Promise.reject(
+            new Error('Unsupported ZIP compression method: ' + entry.method)
+        );
+    }
+
+    /**
+     * @param {string} name
+     * @return {!Promise<string>} An entry decoded as UTF-8.
+     */
+    readText(name) {
+        return this.read(name).then(function (bytes) {
+            return new TextDecoder('utf-8').decode(bytes);
+        });
+    }
+
+    /**
+     * Inflates an entry by wrapping it in a gzip member, whose trailer can be
+     * filled in from the central directory. Unlike 'deflate-raw', the 'gzip'
+     * format is supported by every DecompressionStream implementation.
+     * @param {!Uint8Array} data Raw deflate data.
+     * @param {!Object} entry
+     * @return {!Promise<!Uint8Array>}
+     * @private
+     */
+    inflate_(data, entry) {
+        const header = new Uint8Array([
+            0x1f, 0x8b, 0x08, 0, 0, 0, 0, 0, 0, 0xff
+        ]);
+        const trailer = new Uint8Array(8);
+        const trailerView = new DataView(trailer.buffer);
+        trailerView.setUint32(0, entry.crc32, true);
+        trailerView.setUint32(4, entry.uncompressedSize, true);
+        const stream = new Blob([header, data, trailer])
+            .stream()
+            .pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream)
+            .arrayBuffer()
+            .then((buffer) => new Uint8Array(buffer));
+    }
+
+    /** @private */
+    readCentralDirectory_() {
+        const view = this.view_;
+        // The end of central directory record is at least 22 bytes and may be
+        // followed by a comment of up to 64 KiB.
+        let eocd = -1;
+        const stop = Math.max(0, this.bytes_.length - 22 - 0xffff);
+        for (let i = this.bytes_.length - 22; i >= stop; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error('Not a ZIP archive.');
+        }
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory.');
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(
+                this.bytes_.subarray(offset + 46, offset + 46 + nameLength)
+            );
+            this.entries_.set(name, {
+                method: view.getUint16(offset + 10, true),
+                crc32: view.getUint32(offset + 16, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                uncompressedSize: view.getUint32(offset + 24, true),
+                localHeaderOffset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+}
@@ -0,0 +1,286 @@
+const ZOOM_STORAGE_KEY = 'zoomByDocumentKind';
+
+// Steps for the zoom buttons, the same presets the browser uses.
+const ZOOM_PRESETS = [
+    0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3,
+    4, 5
+];
+const MIN_ZOOM = ZOOM_PRESETS[0];
+const MAX_ZOOM = ZOOM_PRESETS[ZOOM_PRESETS.length - 1];
+
+// Elements whose size the fit modes fit into the window. Pages and slides
+// are fitted whole; sheets and tables only have a width to fit. Frames lay out
+// their content themselves and fit at 100%.
+const ZOOM_FIT_PAGE_SELECTOR = '.preview-page, .preview-slide';
+const ZOOM_FIT_SELECTOR =
+    ZOOM_FIT_PAGE_SELECTOR + ', .preview-grid, .csv-header-inner';
+// Room left around the fitted element, for the padding of the preview.
+const ZOOM_FIT_MARGIN = 40;
+
+/**
+ * @enum {string}
+ */
+const FitMode = {
+    NONE: 'none',
+    WIDTH: 'width',
+    PAGE: 'page'
+};
+
+/**
+ * Zooms the document shown in a container, keeping it in sync with the
+ * browser zoom through a BrowserApi:
+ * - MANAGE: the tab's zoom is in manual mode, so the browser doesn't scale
+ *   the page. The tab zoom is the document zoom; the buttons set it and
+ *   Ctrl+/Ctrl- changes are applied to the document.
+ * - PROPAGATE_PARENT: the document is embedded and the browser already scales
+ *   it with the embedding page. The buttons zoom the document on top of that,
+ *   and the fit modes are refitted when the page zoom changes.
+ * - NONE: there is no tab to follow, so the viewer handles Ctrl+/Ctrl- too.
+ */
+class ZoomController {
+    /**
+     * @param {!BrowserApi} browserApi
+     * @param {!Element} container Element holding the document. Its children
+     *     are zoomed, including ones added later.
+     * @param {string} documentKind Zoom is remembered per kind of document.
+     * @param {function(number, string)} onChange Called with the zoom factor
+     *     and FitMode whenever either changes.
+     */
+    constructor(browserApi, container, documentKind, onChange) {
+        this.browserApi_ = browserApi;
+        this.behavior_ = browserApi.getZoomBehavior();
+        // The first container is the one fitted to the window.
+        this.containers_ = [container];
+        this.documentKind_ = documentKind;
+        this.onChange_ = onChange;
+        this.zoom_ = 1;
+        this.fitMode_ = FitMode.NONE;
+        // Zoom asked of the browser, to tell our own changes from the user's.
+        this.requestedZoom_ = null;
+
+        browserApi.addZoomEventListener((zoom) => this.onBrowserZoomChange_(zoom));
+        this.observer_ = new MutationObserver(() => {
+            this.applyZoom_();
+            this.refit_();
+        });
+        this.observer_.observe(container, { childList: true });
+        window.addEventListener('resize', () => this.refit_());
+        // Pinch gestures arrive as wheel events with the Ctrl key set.
+        document.addEventListener(
+            'wheel',
+            (event) => {
+                if (!event.ctrlKey) {
+                    return;
+                }
+                event.preventDefault();
+                this.setZoom(this.zoom_ * Math.exp(-event.deltaY / 100));
+            },
+            { passive: false }
+        );
+        if (this.behavior_ === BrowserApi.ZoomBehavior.NONE) {
+            document.addEventListener('keydown', (event) =>
+                this.onKeyDown_(event)
+            );
+        }
+    }
+
+    /**
+     * Restores the zoom last used for this kind of document.
+     * @return {!Promise}
+     */
+    init() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(ZOOM_STORAGE_KEY, resolve);
+        }).then((items) => {
+            const saved = (items[ZOOM_STORAGE_KEY] || {})[this.documentKind_];
+            if (saved === FitMode.WIDTH || saved === FitMode.PAGE) {
+                this.fit(saved);
+            } else if (typeof saved === 'number') {
+                this.setZoom(saved);
+            } else if (this.behavior_ === BrowserApi.ZoomBehavior.MANAGE) {
+                this.updateZoom_(this.browserApi_.getInitialZoom(), false);
+            } else {
+                this.updateZoom_(1, false);
+            }
+        });
+    }
+
+    /** @return {number} The document zoom factor. */
+    getZoom() {
+        return this.zoom_;
+    }
+
+    zoomIn() {
+        const next = ZOOM_PRESETS.find((zoom) => zoom > this.zoom_ + 0.01);
+        this.setZoom(next || MAX_ZOOM);
+    }
+
+    zoomOut() {
+        const smaller = ZOOM_PRESETS.filter((zoom) => zoom < this.zoom_ - 0.01);
+        this.setZoom(smaller.length ? smaller[smaller.length - 1] : MIN_ZOOM);
+    }
+
+    /**
+     * Sets a fixed zoom, leaving any fit mode.
+     * @param {number} zoom
+     */
+    setZoom(zoom) {
+        this.fitMode_ = FitMode.NONE;
+        this.requestZoom_(zoom);
+    }
+
+    /**
+     * Zooms the document to fit the window, and keeps it fitted as the window
+     * or the document changes.
+     * @param {string} fitMode FitMode.WIDTH or FitMode.PAGE.
+     */
+    fit(fitMode) {
+        this.fitMode_ = fitMode;
+        this.requestZoom_(this.getFitZoom_(fitMode));
+    }
+
+    /**
+     * Zooms the documents in |containers| in place of the ones zoomed so far,
+     * such as the two versions shown side by side when comparing. They all
+     * get the same zoom; the first one is fitted to the window.
+     * @param {!Array<!Element>} containers
+     */
+    setContainers(containers) {
+        this.observer_.disconnect();
+        this.containers_ = containers;
+        for (const container of containers) {
+            this.observer_.observe(container, { childList: true });
+        }
+        this.applyZoom_();
+        this.refit_();
+    }
+
+    /**
+     * @param {number} zoom
+     * @private
+     */
+    requestZoom_(zoom) {
+        zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+        // The browser doesn't report a zoom that doesn't change.
+        if (
+            this.behavior_ === BrowserApi.ZoomBehavior.MANAGE &&
+            Math.abs(zoom - this.zoom_) > 0.01
+        ) {
+            this.requestedZoom_ = zoom;
+            this.browserApi_.setZoom(zoom);
+            return;
+        }
+        this.updateZoom_(zoom, true);
+    }
+
+    /**
+     * @param {number} zoom
+     * @private
+     */
+    onBrowserZoomChange_(zoom) {
+        if (this.behavior_ === BrowserApi.ZoomBehavior.PROPAGATE_PARENT) {
+            this.refit_();
+            return;
+        }
+        if (
+            this.requestedZoom_ === null ||
+            Math.abs(zoom - this.requestedZoom_) > 0.01
+        ) {
+            this.fitMode_ = FitMode.NONE;
+        }
+        this.requestedZoom_ = null;
+        this.updateZoom_(zoom, true);
+    }
+
+    /**
+     * @param {number} zoom
+     * @param {boolean} remember Whether to save the zoom for the kind of
+     *     document.
+     * @private
+     */
+    updateZoom_(zoom, remember) {
+        this.zoom_ = zoom;
+        this.applyZoom_();
+        this.onChange_(zoom, this.fitMode_);
+        if (remember) {
+            chrome.storage.local.get(ZOOM_STORAGE_KEY, (items) => {
+                const saved = items[ZOOM_STORAGE_KEY] || {};
+                saved[this.documentKind_] =
+                    this.fitMode_ === FitMode.NONE ? zoom : this.fitMode_;
+                chrome.storage.local.set({ [ZOOM_STORAGE_KEY]: saved });
+            });
+        }
+    }
+
+    /** @private */
+    applyZoom_() {
+        for (const container of this.containers_) {
+            for (const child of container.children) {
+                child.style.zoom = this.zoom_;
+            }
+        }
+    }
+
+    /** @private */
+    refit_() {
+        if (this.fitMode_ === FitMode.NONE) {
+            return;
+        }
+        const zoom = this.getFitZoom_(this.fitMode_);
+        if (Math.abs(zoom - this.zoom_) > 0.01) {
+            this.requestZoom_(zoom);
+        }
+    }
+
+    /**
+     * @param {string} fitMode
+     * @return {number} The zoom at which the document fits the container.
+     * @private
+     */
+    getFitZoom_(fitMode) {
+        const container = this.containers_[0];
+        const target = container.querySelector(ZOOM_FIT_SELECTOR);
+        if (!target || !target.scrollWidth) {
+            return 1;
+        }
+        // Sizes inside the zoomed element are reported unzoomed.
+        const widthZoom =
+            container.clientWidth / (target.scrollWidth + ZOOM_FIT_MARGIN);
+        if (
+            fitMode === FitMode.WIDTH ||
+            !target.matches(ZOOM_FIT_PAGE_SELECTOR)
+        ) {
+            return widthZoom;
+        }
+        return Math.min(
+            widthZoom,
+            container.clientHeight /
+                (target.scrollHeight + ZOOM_FIT_MARGIN)
+        );
+    }
+
+    /**
+     * @param {!KeyboardEvent} event
+     * @private
+     */
+    onKeyDown_(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+        switch (event.key) {
+            case '+':
+            case '=':
+                this.zoomIn();
+                break;
+            case '-':
+                this.zoomOut();
+                break;
+            case '0':
+                this.setZoom(1);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+}
@@ -0,0 +1,209 @@
+// Run with: node --test test/
+const assert = require('assert');
+const crypto = require('crypto');
+const { after, before, describe, it } = require('node:test');
+const { LoadScripts } = require('./load_scripts.js');
+const { StartHttpStub, SendJson, CreateFakeChrome } = require('./stubs.js');
+
+const REDIRECT_URI = 'https://extension-id.chromiumapp.org/oauth2';
+
+/**
+ * @param {!Object} claims
+ * @return {string} An unsigned JWT carrying |claims|.
+ */
+function FakeJwt(claims) {
+    const encode = (value) =>
+        Buffer.from(JSON.stringify(value)).toString('base64url');
+    return encode({ alg: 'none' }) + '.' + encode(claims) + '.';
+}
+
+describe('GraphAuth', function () {
+    let stub;
+    // The authorize request of the last sign-in.
+    let authorizeParams = null;
+    // Set by each test: answers a token request with its form parameters.
+    let answerTokenRequest = null;
+
+    before(async function () {
+        stub = await StartHttpStub(function (request, res) {
+            assert.strictEqual(request.method, 'POST');
+            assert.strictEqual(request.url, '/mock-tenant/oauth2/v2.0/token');
+            answerTokenRequest(
+                new URLSearchParams(request.body.toString()),
+                res
+            );
+        });
+    });
+
+    after(() => stub.close());
+
+    /**
+     * @param {!Object=} storedTokens What chrome.storage.local holds.
+     * @param {boolean=} incognito Whether to run as the incognito page.
+     * @return {!Object} A GraphAuth signing in with the stub, and the fake
+     *     |chrome| it uses.
+     */
+    function CreateAuth(storedTokens, incognito = false) {
+        const chrome = CreateFakeChrome({
+            extension: { inIncognitoContext: incognito },
+            identity: {
+                getRedirectURL: () => REDIRECT_URI,
+                // Stands in for the user signing in on the authorize page.
+                launchWebAuthFlow(details, callback) {
+                    authorizeParams = new URL(details.url).searchParams;
+                    setImmediate(
+                        callback,
+                        REDIRECT_URI +
+                            '?code=auth-code&state=' +
+                            authorizeParams.get('state')
+                    );
+                }
+            }
+        });
+        chrome.storage.sync.items.signInAuthority = stub.url + '/mock-tenant';
+        if (storedTokens) {
+            chrome.storage.local.items.graphAuthTokens = storedTokens;
+        }
+        const get = LoadScripts(
+            ['scripts/settings.js', 'scripts/errors.js', 'scripts/auth.js'],
+            { chrome, crypto, TextEncoder, URLSearchParams, fetch, atob, btoa }
+        );
+        const auth = new (get('GraphAuth'))(
+            Object.assign({}, get('AUTH_CONFIG'), { clientId: 'client-id' })
+        );
+        return { auth, chrome };
+    }
+
+    it('signs in with the code flow and a PKCE challenge', async function () {
+        let tokenParams = null;
+        answerTokenRequest = function (params, res) {
+            tokenParams = params;
+            SendJson(res, 200, {
+                access_token: 'access-1',
+                refresh_token: 'refresh-1',
+                expires_in: 3600,
+                id_token: FakeJwt({
+                    name: 'Megan Bowen',
+                    preferred_username: 'megan@contoso.com',
+                    tid: 'tenant-1'
+                })
+            });
+        };
+        const { auth, chrome } = CreateAuth();
+        const tokens = await auth.signIn();
+
+        assert.strictEqual(authorizeParams.get('client_id'), 'client-id');
+        assert.strictEqual(authorizeParams.get('response_type'), 'code');
+        assert.strictEqual(authorizeParams.get('redirect_uri'), REDIRECT_URI);
+        assert.strictEqual(
+            authorizeParams.get('code_challenge_method'),
+            'S256'
+        );
+        assert.strictEqual(tokenParams.get('grant_type'), 'authorization_code');
+        assert.strictEqual(tokenParams.get('code'), 'auth-code');
+        assert.strictEqual(tokenParams.get('client_id'), 'client-id');
+        // The challenge is the hash of the verifier sent with the code.
+        assert.strictEqual(
+            crypto
+                .createHash('sha256')
+                .update(tokenParams.get('code_verifier'))
+                .digest('base64url'),
+            authorizeParams.get('code_challenge')
+        );
+
+        assert.strictEqual(tokens.accessToken, 'access-1');
+        const stored = chrome.storage.local.items.graphAuthTokens;
+        assert.strictEqual(stored.refreshToken, 'refresh-1');
+        assert.strictEqual(stored.clientId, 'client-id');
+        assert.strictEqual(stored.account.username, 'megan@contoso.com');
+        assert.strictEqual(stored.account.tenantId, 'tenant-1');
+        await auth.signOut();
+    });
+
+    it('rejects a sign-in answered with another state', async function () {
+        answerTokenRequest = () => assert.fail('No token request expected');
+        const { auth, chrome } = CreateAuth();
+        chrome.identity.launchWebAuthFlow = function (details, callback) {
+            setImmediate(callback, REDIRECT_URI + '?code=c&state=forged');
+        };
+        await assert.rejects(auth.signIn(), /state mismatch/);
+    });
+
+    it('refreshes expiring tokens, keeping the new one', async function () {
+        let tokenParams = null;
+        answerTokenRequest = function (params, res) {
+            tokenParams = params;
+            SendJson(res, 200, {
+                access_token: 'access-2',
+                refresh_token: 'refresh-2',
+                expires_in: 3600
+            });
+        };
+        const { auth, chrome } = CreateAuth({
+            clientId: 'client-id',
+            authority: stub.url + '/mock-tenant',
+            accessToken: 'access-1',
+            refreshToken: 'refresh-1',
+            expiresAt: Date.now(),
+            account: { name: 'Megan Bowen' }
+        });
+
+        assert.strictEqual(await auth.getAccessToken(false), 'access-2');
+        assert.strictEqual(tokenParams.get('grant_type'), 'refresh_token');
+        assert.strictEqual(tokenParams.get('refresh_token'), 'refresh-1');
+        const stored = chrome.storage.local.items.graphAuthTokens;
+        assert.strictEqual(stored.refreshToken, 'refresh-2');
+        // The account comes from the sign-in; refreshes carry no ID token.
+        assert.strictEqual(stored.account.name, 'Megan Bowen');
+        await auth.signOut();
+    });
+
+    it('leaves silent refreshes to the regular page', async function () {
+        answerTokenRequest = (params, res) =>
+            SendJson(res, 400, { error: 'invalid_grant' });
+        const requestCount = stub.requests.length;
+        const { auth } = CreateAuth(
+            {
+                clientId: 'client-id',
+                authority: stub.url + '/mock-tenant',
+                accessToken: 'access-1',
+                refreshToken: 'refresh-1',
+                expiresAt: Date.now(),
+                account: null
+            },
+            true
+        );
+        await auth.init();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assert.strictEqual(stub.requests.length, requestCount);
+        await auth.signOut();
+    });
+
+    it('uses fresh tokens without asking the service', async function () {
+        answerTokenRequest = () => assert.fail('No token request expected');
+        const { auth } = CreateAuth({
+            clientId: 'client-id',
+            authority: stub.url + '/mock-tenant',
+            accessToken: 'access-1',
+            refreshToken: 'refresh-1',
+            expiresAt: Date.now() + 60 * 60 * 1000,
+            account: null
+        });
+        assert.strictEqual(await auth.getAccessToken(false), 'access-1');
+        await auth.signOut();
+    });
+
+    it('drops tokens issued to another client', async function () {
+        answerTokenRequest = () => assert.fail('No token request expected');
+        const { auth, chrome } = CreateAuth({
+            clientId: 'old-client-id',
+            authority: stub.url + '/mock-tenant',
+            accessToken: 'access-1',
+            refreshToken: 'refresh-1',
+            expiresAt: Date.now() + 60 * 60 * 1000,
+            account: null
+        });
+        await assert.rejects(auth.getAccessToken(false), /Sign-in required/);
+        assert.ok(!('graphAuthTokens' in chrome.storage.local.items));
+    });
+});
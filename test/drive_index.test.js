@@ -0,0 +1,23 @@
+// Run with: node --test test/
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { LoadScripts } = require('./load_scripts.js');
+
+const get = LoadScripts(['scripts/drive_index.js']);
+const GetFileNameFromUrl = get('GetFileNameFromUrl');
+
+describe('GetFileNameFromUrl', function () {
+    it('decodes the last path segment', function () {
+        assert.strictEqual(
+            GetFileNameFromUrl('file:///C:/Reports/Q3%20plan.docx?x=1#page=2'),
+            'Q3 plan.docx'
+        );
+    });
+
+    it('keeps names that are not valid percent-encoding', function () {
+        assert.strictEqual(
+            GetFileNameFromUrl('file:///C:/Reports/100%.docx'),
+            '100%.docx'
+        );
+    });
+});
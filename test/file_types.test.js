@@ -0,0 +1,67 @@
+// Run with: node --test test/
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { LoadScripts, ReadJson } = require('./load_scripts.js');
+
+const get = LoadScripts(['scripts/file_types.js']);
+const FILE_TYPES = get('FILE_TYPES');
+const manifest = ReadJson('manifest.json');
+
+/**
+ * @param {!Array<string>} values
+ * @return {!Array<string>} |values| sorted, for comparing lists as sets.
+ */
+function Sorted(values) {
+    return Array.from(values).sort();
+}
+
+/**
+ * @param {string} field 'mimeTypes' or 'extensions'.
+ * @return {!Array<string>} That field of every FILE_TYPES entry.
+ */
+function AllOf(field) {
+    return [].concat(...FILE_TYPES.map((type) => Array.from(type[field])));
+}
+
+describe('FILE_TYPES', function () {
+    it('lists each MIME type and extension once', function () {
+        for (const field of ['mimeTypes', 'extensions']) {
+            const values = AllOf(field);
+            const duplicates = values.filter((v, i) => values.indexOf(v) !== i);
+            assert.deepStrictEqual(duplicates, [], field);
+        }
+    });
+
+    it("doesn't preview the binary formats before 2007", function () {
+        const GetFileType = get('GetFileType');
+        for (const extension of ['doc', 'dot', 'ppt', 'xls', 'xlsb']) {
+            assert.strictEqual(GetFileType('', extension).preview, false);
+        }
+        assert.strictEqual(GetFileType('application/msword', '').preview, false);
+        // A modern document served with its legacy MIME type is still
+        // previewed.
+        assert.strictEqual(
+            GetFileType('application/vnd.ms-excel', 'xlsx').preview,
+            true
+        );
+    });
+
+    it('matches the mime_types the manifest handles', function () {
+        assert.deepStrictEqual(
+            Sorted(manifest.mime_types),
+            Sorted(AllOf('mimeTypes'))
+        );
+    });
+
+    it('matches the file_handlers of the manifest', function () {
+        const handler = manifest.file_handlers.documents;
+        assert.deepStrictEqual(
+            Sorted(handler.types),
+            Sorted(AllOf('mimeTypes'))
+        );
+        assert.deepStrictEqual(
+            Sorted(handler.extensions),
+            Sorted(AllOf('extensions'))
+        );
+    });
+});
@@ -0,0 +1,35 @@
+// The extension's scripts are plain scripts that declare globals, so the
+// tests run them in a context of their own instead of requiring them.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Runs scripts of the extension, in order, in one new context.
+ * @param {!Array<string>} files Paths relative to the repository root.
+ * @param {!Object=} globals Globals the scripts expect, such as |chrome|.
+ * @return {function(string): *} Evaluates an expression in the context, e.g.
+ *     the name of a constant the scripts declare.
+ */
+function LoadScripts(files, globals = {}) {
+    const context = vm.createContext(
+        Object.assign({ console, URL, setTimeout, clearTimeout }, globals)
+    );
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    }
+    return (expression) => vm.runInContext(expression, context);
+}
+
+/**
+ * @param {string} file Path relative to the repository root.
+ * @return {*} The parsed JSON file.
+ */
+function ReadJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+module.exports = { LoadScripts, ReadJson };
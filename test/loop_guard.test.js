@@ -0,0 +1,41 @@
+// Run with: node --test test/
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { LoadScripts } = require('./load_scripts.js');
+
+const get = LoadScripts(['scripts/loop_guard.js']);
+const RedirectLoopGuard = get('RedirectLoopGuard');
+
+const DOC = 'https://contoso.com/report.docx';
+
+describe('RedirectLoopGuard', function () {
+    it('takes a navigation back to the document as a loop once', function () {
+        const guard = new RedirectLoopGuard(1000);
+        guard.markShown(1, DOC);
+        assert.strictEqual(guard.consume(2, DOC), false);
+        assert.strictEqual(guard.consume(1, DOC + '#page=2'), true);
+        assert.strictEqual(guard.consume(1, DOC), false);
+    });
+
+    it('forgets documents a while after the viewer closed', function () {
+        const guard = new RedirectLoopGuard(0);
+        guard.markShown(1, DOC);
+        guard.markClosed(1, DOC);
+        assert.strictEqual(guard.isShownAnywhere(DOC), false);
+        assert.strictEqual(guard.consume(1, DOC), false);
+    });
+
+    it('follows the document into tabs the viewer opened', function () {
+        const guard = new RedirectLoopGuard(1000);
+        guard.markShown(1, DOC);
+        guard.markOpenedFrom(1, 2, DOC);
+        // The user opening another document from the same tab doesn't count.
+        guard.markOpenedFrom(1, 3, 'https://contoso.com/other.docx');
+        assert.strictEqual(guard.isOpenedByViewer(2), true);
+        assert.strictEqual(guard.isOpenedByViewer(3), false);
+        assert.strictEqual(guard.consume(2, DOC), true);
+
+        guard.forgetTab(2);
+        assert.strictEqual(guard.isOpenedByViewer(2), false);
+    });
+});
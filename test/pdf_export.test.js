@@ -0,0 +1,104 @@
+// Run with: node --test test/
+const assert = require('assert');
+const crypto = require('crypto');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { LoadScripts } = require('./load_scripts.js');
+const { StartHttpStub, CreateFakeChrome } = require('./stubs.js');
+
+// Backoff delays asked for, which pass at once.
+const delays = [];
+const get = LoadScripts(
+    ['scripts/errors.js', 'scripts/upload.js', 'scripts/pdf_export.js'],
+    {
+        chrome: CreateFakeChrome(),
+        crypto,
+        fetch,
+        Blob,
+        navigator: { onLine: true },
+        setTimeout(callback, ms) {
+            delays.push(ms);
+            setImmediate(callback);
+        }
+    }
+);
+const RequestPdfExport = get('RequestPdfExport');
+const PDF_EXPORT_MAX_RETRIES = get('PDF_EXPORT_MAX_RETRIES');
+
+// Set per test: the status and X-IsRetriable header of each failed attempt
+// before the conversion succeeds.
+let failures;
+
+describe('RequestPdfExport', function () {
+    let stub;
+
+    before(async function () {
+        stub = await StartHttpStub(function (request, res) {
+            const failure = failures.shift();
+            if (!failure) {
+                res.writeHead(200, { 'Content-Type': 'application/pdf' });
+                res.end('%PDF-1.7');
+                return;
+            }
+            res.writeHead(failure.status, {
+                'X-IsRetriable': String(failure.retriable)
+            });
+            res.end('Worker crashed at convert.cs:42');
+        });
+    });
+
+    after(() => stub.close());
+
+    beforeEach(function () {
+        stub.requests.length = 0;
+        delays.length = 0;
+    });
+
+    it('retries failures the service marks as retriable', async function () {
+        failures = [
+            { status: 503, retriable: true },
+            { status: 500, retriable: true }
+        ];
+        const pdf = await RequestPdfExport(stub.url + '/export?url=a.docx');
+        assert.strictEqual(pdf.type, 'application/pdf');
+        assert.strictEqual(await pdf.text(), '%PDF-1.7');
+        assert.strictEqual(stub.requests.length, 3);
+        assert.deepStrictEqual(delays, [2000, 4000]);
+        // Each attempt can be traced on its own.
+        const ids = stub.requests.map(
+            (request) => request.headers['x-clientcorrelationid']
+        );
+        assert.strictEqual(new Set(ids).size, 3);
+    });
+
+    it('fails at once when the service says not to retry', async function () {
+        failures = [{ status: 500, retriable: false }];
+        const error = await RequestPdfExport(stub.url + '/export').then(
+            () => assert.fail('Expected the export to fail'),
+            (error) => error
+        );
+        assert.strictEqual(stub.requests.length, 1);
+        assert.strictEqual(error.name, 'PdfExportError');
+        assert.strictEqual(error.status, 500);
+        assert.strictEqual(error.retriable, false);
+        assert.strictEqual(
+            error.correlationId,
+            stub.requests[0].headers['x-clientcorrelationid']
+        );
+        // What the service answered is for the diagnostics log only.
+        assert.ok(!error.message.includes('convert.cs'));
+        assert.strictEqual(error.details, 'Worker crashed at convert.cs:42');
+    });
+
+    it('gives up after the last retry', async function () {
+        failures = Array.from({ length: 10 }, () => ({
+            status: 503,
+            retriable: true
+        }));
+        await assert.rejects(RequestPdfExport(stub.url + '/export'), {
+            name: 'PdfExportError',
+            status: 503,
+            retriable: true
+        });
+        assert.strictEqual(stub.requests.length, PDF_EXPORT_MAX_RETRIES + 1);
+    });
+});
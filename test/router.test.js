@@ -0,0 +1,221 @@
+// Run with: node --test test/
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { LoadScripts } = require('./load_scripts.js');
+
+const get = LoadScripts(['scripts/settings.js', 'scripts/router.js']);
+const RouteAction = get('RouteAction');
+const DomainMatches = get('DomainMatches');
+const RuleMatches = get('RuleMatches');
+const RouteDocument = get('RouteDocument');
+const ChooseRoute = get('ChooseRoute');
+
+const MB = 1024 * 1024;
+
+/**
+ * @param {!Object=} changes
+ * @return {!Object} The default settings with |changes|.
+ */
+function Settings(changes = {}) {
+    return Object.assign(
+        JSON.parse(JSON.stringify(get('DEFAULT_SETTINGS'))),
+        changes
+    );
+}
+
+/**
+ * @param {!Object=} changes
+ * @return {!Object} A small Word document from contoso.com, with |changes|.
+ */
+function Doc(changes = {}) {
+    return Object.assign(
+        {
+            url: 'https://docs.contoso.com/files/report.docx',
+            extension: 'docx',
+            mimeType:
+                'application/vnd.openxmlformats-officedocument.' +
+                'wordprocessingml.document',
+            size: 20 * 1024,
+            kind: 'word'
+        },
+        changes
+    );
+}
+
+describe('DomainMatches', function () {
+    it('matches the domain and its subdomains', function () {
+        assert.ok(DomainMatches('contoso.com', 'contoso.com'));
+        assert.ok(DomainMatches('contoso.com', 'docs.contoso.com'));
+        assert.ok(DomainMatches('*.contoso.com', 'docs.contoso.com'));
+        assert.ok(DomainMatches(' Contoso.COM ', 'contoso.com'));
+    });
+
+    it("doesn't match other domains ending the same", function () {
+        assert.ok(!DomainMatches('contoso.com', 'notcontoso.com'));
+        assert.ok(!DomainMatches('contoso.com', 'contoso.com.evil.net'));
+    });
+});
+
+describe('RuleMatches', function () {
+    it('matches on the domain of the document', function () {
+        assert.ok(RuleMatches({ domain: 'contoso.com' }, Doc()));
+        assert.ok(!RuleMatches({ domain: 'fabrikam.com' }, Doc()));
+    });
+
+    it('matches on one or more extensions, in any case', function () {
+        assert.ok(RuleMatches({ extension: 'docx' }, Doc()));
+        assert.ok(RuleMatches({ extension: ['.DOC', 'DOCX'] }, Doc()));
+        assert.ok(!RuleMatches({ extension: ['xlsx', 'xls'] }, Doc()));
+    });
+
+    it('matches MIME types exactly or by a trailing wildcard', function () {
+        const doc = Doc();
+        assert.ok(RuleMatches({ mimeType: doc.mimeType }, doc));
+        assert.ok(RuleMatches({ mimeType: 'application/vnd.openxml*' }, doc));
+        assert.ok(
+            RuleMatches({ mimeType: ['text/csv', 'APPLICATION/*'] }, doc)
+        );
+        assert.ok(!RuleMatches({ mimeType: 'application/vnd.ms-*' }, doc));
+        assert.ok(!RuleMatches({ mimeType: 'application/vnd' }, doc));
+    });
+
+    it('matches sizes inclusively, and never unknown sizes', function () {
+        assert.ok(RuleMatches({ minSize: 20 * 1024 }, Doc()));
+        assert.ok(RuleMatches({ maxSize: 20 * 1024 }, Doc()));
+        assert.ok(!RuleMatches({ minSize: 20 * 1024 + 1 }, Doc()));
+        assert.ok(!RuleMatches({ minSize: 0 }, Doc({ size: -1 })));
+        assert.ok(!RuleMatches({ maxSize: MB }, Doc({ size: -1 })));
+    });
+
+    it('needs every condition to match', function () {
+        const rule = { domain: 'contoso.com', extension: 'xlsx' };
+        assert.ok(!RuleMatches(rule, Doc()));
+        assert.ok(RuleMatches(rule, Doc({ extension: 'xlsx' })));
+    });
+});
+
+describe('RouteDocument', function () {
+    it('takes the first rule that matches', function () {
+        const first = { extension: 'docx', action: RouteAction.PDF };
+        const second = { domain: 'contoso.com', action: RouteAction.DESKTOP };
+        const route = RouteDocument(Doc(), [first, second]);
+        assert.strictEqual(route.action, RouteAction.PDF);
+        assert.strictEqual(route.rule, first);
+    });
+
+    it('falls back when no rule matches', function () {
+        const route = RouteDocument(Doc(), [], RouteAction.LOCAL);
+        assert.strictEqual(route.action, RouteAction.LOCAL);
+        assert.strictEqual(route.rule, null);
+        assert.strictEqual(
+            RouteDocument(Doc(), []).action,
+            RouteAction.VIEWER
+        );
+    });
+});
+
+describe('ChooseRoute', function () {
+    it('uses the default action for the kind of document', function () {
+        assert.strictEqual(ChooseRoute(Doc(), Settings()), RouteAction.VIEWER);
+        assert.strictEqual(
+            ChooseRoute(Doc({ kind: 'visio', extension: 'vsdx' }), Settings()),
+            RouteAction.DESKTOP
+        );
+    });
+
+    it('downloads documents of 100 MB or more', function () {
+        assert.strictEqual(
+            ChooseRoute(Doc({ size: 100 * MB }), Settings()),
+            RouteAction.DOWNLOAD
+        );
+        assert.strictEqual(
+            ChooseRoute(Doc({ size: 100 * MB - 1 }), Settings()),
+            RouteAction.VIEWER
+        );
+    });
+
+    it("tries the user's rules before the size rule", function () {
+        const settings = Settings({
+            routingRules: [{ domain: 'contoso.com', action: 'desktop' }]
+        });
+        assert.strictEqual(
+            ChooseRoute(Doc({ size: 200 * MB }), settings),
+            RouteAction.DESKTOP
+        );
+    });
+
+    it("skips the user's rules for kinds the policy sets", function () {
+        const settings = get('ApplyManagedPolicy')(
+            Settings({ routingRules: [{ extension: 'docx', action: 'pdf' }] }),
+            { defaultActions: { word: 'desktop' } }
+        );
+        assert.strictEqual(ChooseRoute(Doc(), settings), RouteAction.DESKTOP);
+        assert.strictEqual(
+            ChooseRoute(Doc({ kind: 'excel' }), settings),
+            RouteAction.PDF
+        );
+    });
+
+    it('leaves documents from denied sites to the browser', function () {
+        const settings = Settings({
+            siteDenyList: ['contoso.com'],
+            routingRules: [{ action: 'viewer' }]
+        });
+        assert.strictEqual(ChooseRoute(Doc(), settings), RouteAction.DOWNLOAD);
+    });
+
+    it('only handles documents from allowed sites, if any', function () {
+        const settings = Settings({ siteAllowList: ['fabrikam.com'] });
+        assert.strictEqual(ChooseRoute(Doc(), settings), RouteAction.DOWNLOAD);
+        assert.strictEqual(
+            ChooseRoute(Doc({ url: 'https://fabrikam.com/a.docx' }), settings),
+            RouteAction.VIEWER
+        );
+    });
+
+    it('takes the action the user picked on allowed sites', function () {
+        const settings = Settings({ siteDenyList: ['fabrikam.com'] });
+        assert.strictEqual(
+            ChooseRoute(Doc(), settings, RouteAction.PDF),
+            RouteAction.PDF
+        );
+        assert.strictEqual(
+            ChooseRoute(
+                Doc({ url: 'https://fabrikam.com/a.docx' }),
+                settings,
+                RouteAction.VIEWER
+            ),
+            RouteAction.DOWNLOAD
+        );
+    });
+
+    it('keeps actions the user picked offline in privacy mode', function () {
+        const settings = Settings({ privacyMode: true });
+        for (const requested of [RouteAction.VIEWER, RouteAction.PDF]) {
+            assert.strictEqual(
+                ChooseRoute(Doc(), settings, requested),
+                RouteAction.LOCAL
+            );
+        }
+        assert.strictEqual(
+            ChooseRoute(Doc(), settings, RouteAction.DESKTOP),
+            RouteAction.DESKTOP
+        );
+    });
+
+    it('previews locally in privacy mode instead of going online', function () {
+        const settings = Settings({
+            privacyMode: true,
+            routingRules: [{ extension: 'xlsx', action: 'pdf' }]
+        });
+        assert.strictEqual(ChooseRoute(Doc(), settings), RouteAction.LOCAL);
+        assert.strictEqual(
+            ChooseRoute(Doc({ extension: 'xlsx', kind: 'excel' }), settings),
+            RouteAction.LOCAL
+        );
+        assert.strictEqual(
+            ChooseRoute(Doc({ kind: 'visio' }), settings),
+            RouteAction.DESKTOP
+        );
+    });
+});
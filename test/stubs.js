@@ -0,0 +1,125 @@
+// Stand-ins for the services and browser APIs the scripts talk to, so that
+// the protocols can be tested without a browser or a real tenant.
+const http = require('http');
+
+/**
+ * Starts an HTTP server on a free local port.
+ * @param {function(!Object, !http.ServerResponse)} handler Called with each
+ *     request as {method, url, headers, body}, where |body| is a Buffer.
+ * @return {!Promise<{url: string, requests: !Array<!Object>,
+ *     close: function(): !Promise}>} |url| has no trailing slash, and
+ *     |requests| lists the requests so far.
+ */
+function StartHttpStub(handler) {
+    const requests = [];
+    const server = http.createServer(function (req, res) {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', function () {
+            const request = {
+                method: req.method,
+                url: req.url,
+                headers: req.headers,
+                body: Buffer.concat(chunks)
+            };
+            requests.push(request);
+            handler(request, res);
+        });
+    });
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            resolve({
+                url: 'http://127.0.0.1:' + server.address().port,
+                requests: requests,
+                close: () => new Promise((done) => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Answers a request with JSON.
+ * @param {!http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ * @param {!Object=} headers
+ */
+function SendJson(res, status, body, headers = {}) {
+    res.writeHead(
+        status,
+        Object.assign({ 'Content-Type': 'application/json' }, headers)
+    );
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * An in-memory chrome.storage area.
+ * @param {!Object=} items Initial content.
+ * @return {!Object} The area, whose content is also its |items|.
+ */
+function CreateFakeStorageArea(items = {}) {
+    return {
+        items: items,
+        get(keys, callback) {
+            let result;
+            if (keys === null) {
+                result = Object.assign({}, items);
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in items) {
+                        result[key] = items[key];
+                    }
+                }
+            } else {
+                // Defaults for the keys that aren't stored.
+                result = {};
+                for (const key in keys) {
+                    result[key] = key in items ? items[key] : keys[key];
+                }
+            }
+            // Callers get copies, as with the real storage.
+            setImmediate(callback, JSON.parse(JSON.stringify(result)));
+        },
+        set(changes, callback) {
+            Object.assign(items, JSON.parse(JSON.stringify(changes)));
+            setImmediate(callback || function () {});
+        },
+        remove(keys, callback) {
+            for (const key of [].concat(keys)) {
+                delete items[key];
+            }
+            setImmediate(callback || function () {});
+        }
+    };
+}
+
+/**
+ * @param {!Object=} overrides Replaces parts of the fake, e.g. |identity|.
+ * @return {!Object} A |chrome| with in-memory storage and no policy.
+ */
+function CreateFakeChrome(overrides = {}) {
+    return Object.assign(
+        {
+            runtime: {
+                lastError: undefined,
+                getManifest: () => ({ version: '0.0.0' })
+            },
+            extension: { inIncognitoContext: false },
+            storage: {
+                local: CreateFakeStorageArea(),
+                sync: CreateFakeStorageArea(),
+                managed: CreateFakeStorageArea(),
+                onChanged: { addListener() {} }
+            }
+        },
+        overrides
+    );
+}
+
+module.exports = {
+    StartHttpStub,
+    SendJson,
+    CreateFakeStorageArea,
+    CreateFakeChrome
+};
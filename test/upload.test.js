@@ -0,0 +1,219 @@
+// Run with: node --test test/
+const assert = require('assert');
+const crypto = require('crypto');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { LoadScripts } = require('./load_scripts.js');
+const { StartHttpStub, SendJson, CreateFakeChrome } = require('./stubs.js');
+
+// Backoff delays asked for, which pass at once.
+const delays = [];
+const get = LoadScripts(['scripts/errors.js', 'scripts/upload.js'], {
+    chrome: CreateFakeChrome(),
+    crypto,
+    fetch,
+    navigator: { onLine: true },
+    setTimeout(callback, ms) {
+        delays.push(ms);
+        return setTimeout(callback, 0);
+    }
+});
+const DriveUploader = get('DriveUploader');
+
+const DOCUMENT = Buffer.from('Quarterly report: revenue up, costs down.');
+
+let stub;
+// A Graph stub with upload sessions. Set per test: how the session fails a
+// chunk, given its Content-Range start, as {status, headers}, or null to take
+// it; and whether the session still exists.
+let answerChunk;
+let sessionExists;
+// The bytes each session received, by session number.
+let sessions;
+
+/**
+ * @param {!Object} request
+ * @param {!http.ServerResponse} res
+ */
+function AnswerGraph(request, res) {
+    if (request.url.endsWith('/createUploadSession')) {
+        sessions.push(Buffer.alloc(DOCUMENT.length));
+        SendJson(res, 200, {
+            uploadUrl: stub.url + '/session/' + (sessions.length - 1)
+        });
+        return;
+    }
+    if (request.url.startsWith('/me/drive/root:/')) {
+        SendJson(res, 201, { id: 'item-1', name: 'simple.docx' });
+        return;
+    }
+    const session = sessions[Number(request.url.split('/').pop())];
+    if (request.method === 'GET') {
+        if (!sessionExists) {
+            SendJson(res, 404, { error: { message: 'Session expired' } });
+            return;
+        }
+        // Resumes from the first byte not received yet.
+        const next = session.findIndex((byte) => byte === 0);
+        SendJson(res, 200, { nextExpectedRanges: [next + '-'] });
+        return;
+    }
+    const [start, end] = request.headers['content-range']
+        .match(/bytes (\d+)-(\d+)\//)
+        .slice(1)
+        .map(Number);
+    const failure = answerChunk(start);
+    if (failure) {
+        res.writeHead(failure.status, failure.headers);
+        res.end();
+        return;
+    }
+    request.body.copy(session, start);
+    if (end + 1 < DOCUMENT.length) {
+        SendJson(res, 202, { nextExpectedRanges: [end + 1 + '-'] });
+    } else {
+        SendJson(res, 201, { id: 'item-2', name: 'large.docx' });
+    }
+}
+
+/**
+ * @param {!Object=} options More options for the uploader.
+ * @return {!DriveUploader} An uploader that uses upload sessions with small
+ *     chunks for DOCUMENT.
+ */
+function CreateUploader(options = {}) {
+    return new DriveUploader(
+        () => Promise.resolve('token'),
+        Object.assign(
+            {
+                graphEndpoint: stub.url,
+                simpleUploadLimit: 16,
+                chunkSize: 16,
+                initialBackoffMs: 1
+            },
+            options
+        )
+    );
+}
+
+describe('DriveUploader', function () {
+    before(async function () {
+        stub = await StartHttpStub(AnswerGraph);
+    });
+
+    after(() => stub.close());
+
+    beforeEach(function () {
+        stub.requests.length = 0;
+        delays.length = 0;
+        sessions = [];
+        sessionExists = true;
+        answerChunk = () => null;
+    });
+
+    it('puts small files in one request', async function () {
+        const item = await CreateUploader().upload(
+            'localFiles/simple.docx',
+            new Uint8Array(DOCUMENT.subarray(0, 16)),
+            'fail'
+        );
+        assert.strictEqual(item.id, 'item-1');
+        const request = stub.requests[0];
+        assert.strictEqual(request.method, 'PUT');
+        assert.strictEqual(
+            request.url,
+            '/me/drive/root:/localFiles/simple.docx:/content' +
+                '?@microsoft.graph.conflictBehavior=fail'
+        );
+        assert.strictEqual(request.headers.authorization, 'Bearer token');
+    });
+
+    it('uploads large files in chunks to a session', async function () {
+        const progress = [];
+        const uploader = CreateUploader({
+            onProgress: (uploaded) => progress.push(uploaded)
+        });
+        const item = await uploader.upload(
+            'large.docx',
+            new Uint8Array(DOCUMENT)
+        );
+        assert.strictEqual(item.id, 'item-2');
+        assert.ok(sessions[0].equals(DOCUMENT));
+        assert.deepStrictEqual(progress, [0, 16, 32, DOCUMENT.length]);
+        // Upload URLs are pre-authenticated.
+        for (const request of stub.requests.slice(1)) {
+            assert.strictEqual(request.headers.authorization, undefined);
+        }
+    });
+
+    it('resumes from the session after a failed chunk', async function () {
+        let failed = false;
+        answerChunk = function (start) {
+            if (start === 16 && !failed) {
+                failed = true;
+                return { status: 503 };
+            }
+            return null;
+        };
+        const item = await CreateUploader().upload(
+            'large.docx',
+            new Uint8Array(DOCUMENT)
+        );
+        assert.strictEqual(item.id, 'item-2');
+        assert.strictEqual(sessions.length, 1);
+        assert.ok(sessions[0].equals(DOCUMENT));
+        const starts = stub.requests
+            .filter((request) => request.method === 'PUT')
+            .map((request) => request.headers['content-range'].split('-')[0]);
+        assert.deepStrictEqual(starts, [
+            'bytes 0',
+            'bytes 16',
+            'bytes 16',
+            'bytes 32'
+        ]);
+    });
+
+    it('starts a new session when the old one expired', async function () {
+        answerChunk = function (start) {
+            if (start === 16 && sessions.length === 1) {
+                sessionExists = false;
+                return { status: 503 };
+            }
+            return null;
+        };
+        const item = await CreateUploader().upload(
+            'large.docx',
+            new Uint8Array(DOCUMENT)
+        );
+        assert.strictEqual(item.id, 'item-2');
+        assert.strictEqual(sessions.length, 2);
+        assert.ok(sessions[1].equals(DOCUMENT));
+    });
+
+    it('waits as long as a throttled chunk asks', async function () {
+        let throttled = false;
+        answerChunk = function (start) {
+            if (start === 16 && !throttled) {
+                throttled = true;
+                return { status: 429, headers: { 'Retry-After': '7' } };
+            }
+            return null;
+        };
+        const item = await CreateUploader().upload(
+            'large.docx',
+            new Uint8Array(DOCUMENT)
+        );
+        assert.strictEqual(item.id, 'item-2');
+        assert.deepStrictEqual(delays, [7000]);
+    });
+
+    it('fails at once when a chunk is rejected', async function () {
+        answerChunk = (start) => (start === 16 ? { status: 416 } : null);
+        await assert.rejects(
+            CreateUploader().upload('large.docx', new Uint8Array(DOCUMENT)),
+            { name: 'UploadError', status: 416, retriable: false }
+        );
+        // Neither retried nor resumed.
+        assert.strictEqual(stub.requests.length, 3);
+        assert.deepStrictEqual(delays, []);
+    });
+});